@@ -1,18 +1,33 @@
 // Import document classes.
 import { DCActor } from "./documents/actor.mjs";
 import { DCItem } from "./documents/item.mjs";
+import { DCCombat, DCCombatant } from "./documents/combat.mjs";
 import DCRoll from "./documents/roll.js";
+import DCDemande from "./documents/demande.mjs";
+import DCOpposition from "./documents/opposition.mjs";
+import DCGroupe from "./documents/groupe.mjs";
 // Import sheet classes.
 import { DCRelance } from "./sheets/relance-sheet.mjs";
 import { DCActorSheet } from "./sheets/actor-sheet.mjs";
 import { DCItemSheet } from "./sheets/item-sheet.mjs";
+import { DCAmitieLog } from "./sheets/amitie-log.mjs";
+import { DCBandeSheet } from "./sheets/bande-sheet.mjs";
+import { DCPNJSheet } from "./sheets/pnj-sheet.mjs";
 // Import sheet models.
 import { DCDataModel } from "./models/personnage-data-model.mjs";
+import { BandeDataModel } from "./models/bande-data-model.mjs";
+import { PNJDataModel } from "./models/pnj-data-model.mjs";
 import { EquipementDataModel } from "./models/equipement-data-model.mjs";
 import { MiagieDataModel } from "./models/miagie-data-model.mjs";
+import { CapaciteDataModel } from "./models/capacite-data-model.mjs";
 // Import helper/utility classes and constants.
 import { preloadHandlebarsTemplates } from "./helpers/templates.mjs";
 import { DC } from "./helpers/config.mjs";
+import { registerSettings } from "./helpers/settings.mjs";
+import { prepareTalents } from "./helpers/talents.mjs";
+import { registerEnrichers } from "./helpers/enrichers.mjs";
+import { registerChatCommand } from "./helpers/chat-command.mjs";
+import SocketDC from "./helpers/socket.mjs";
 import HooksDC from "./hooks.mjs";
 
 /* -------------------------------------------- */
@@ -26,13 +41,21 @@ Hooks.once('init', async function() {
   game.dc = {
     applications: {
       DCActorSheet,
+      DCBandeSheet,
+      DCPNJSheet,
       DCItemSheet,
+      DCAmitieLog,
     },
     documents:{
       DCActor,
-      DCItem
+      DCItem,
+      DCCombat,
+      DCCombatant,
     },
     DCRoll,
+    DCDemande,
+    DCOpposition,
+    DCGroupe,
     DCRelance,
     RollDCMacro
   };
@@ -40,17 +63,18 @@ Hooks.once('init', async function() {
   // Add custom constants for configuration.
   CONFIG.DC = DC;
 
-  /**
-   * Set an initiative formula for the system
-   * @type {String}
-   */
-  CONFIG.Combat.initiative = {
-    formula: "0",
-    decimals: 2
-  };
+  registerSettings();
+  prepareTalents();
+  registerEnrichers();
+  registerChatCommand();
+
+  CONFIG.statusEffects.push(DC.horsDeCombat);
+
   // Define custom Document classes
   CONFIG.Actor.documentClass = DCActor;
   CONFIG.Item.documentClass = DCItem;
+  CONFIG.Combat.documentClass = DCCombat;
+  CONFIG.Combatant.documentClass = DCCombatant;
 
   // Register sheet application classes
   Actors.unregisterSheet("core", ActorSheet);
@@ -58,10 +82,13 @@ Hooks.once('init', async function() {
 
   CONFIG.Actor.dataModels = {
     chaton:DCDataModel,
+    bande:BandeDataModel,
+    pnj:PNJDataModel,
   };
   CONFIG.Item.dataModels = {
     miagie:MiagieDataModel,
     equipement:EquipementDataModel,
+    capacite:CapaciteDataModel,
   };
 
   Actors.registerSheet("donjons-et-chatons", DCActorSheet, {
@@ -69,8 +96,18 @@ Hooks.once('init', async function() {
     makeDefault: true
   });
 
+  Actors.registerSheet("donjons-et-chatons", DCBandeSheet, {
+    types: ["bande"],
+    makeDefault: true
+  });
+
+  Actors.registerSheet("donjons-et-chatons", DCPNJSheet, {
+    types: ["pnj"],
+    makeDefault: true
+  });
+
   Items.registerSheet("donjons-et-chatons", DCItemSheet, {
-    types: ["miagie", "equipement"],
+    types: ["miagie", "equipement", "capacite"],
     makeDefault: true
   });
 
@@ -129,245 +166,100 @@ Hooks.once('init', async function() {
 /* -------------------------------------------- */
 
 Hooks.once("ready", async function() {
-  Hooks.on("hotbarDrop", (bar, data, slot) => createMacro(bar, data, slot));
+  SocketDC.init();
+  SocketDC.register('giveAmitie', (data, user) => DCActor.onGiveAmitie(data, user));
+  SocketDC.register('aider', (data, user) => DCRoll.onAider(data, user));
+  SocketDC.register('coeur', (data, user) => DCActor.onModifyCoeur(data, user));
+  SocketDC.register('deplacer', (data, user) => DCActor.onMoveItem(data, user));
+
+  // Rolls and items dropped on the hotbar become macros, the other drops keep the behaviour of Foundry.
+  Hooks.on("hotbarDrop", (bar, data, slot) => {
+    if(data.type !== 'DCJet' && data.type !== 'Item') return;
+
+    createMacro(data, slot);
+    return false;
+  });
 });
 
-async function createMacro(bar, data, slot) {
-  // Create the macro command
-
-  const label = data.label;
-  const istalent = data.istalent;
-  const issay = data.issay;
-  const actorId = data.actorId;
-  const id = data.id;
-  const command = `game.dc.RollDCMacro("${actorId}", "${label}", "${istalent}", "${issay}", "${id}");`;
+/**
+ * Create a macro from a roll or an item dropped on the hotbar, or reuse the same macro.
+ * The macro references the actor or the item by UUID, so it works for unlinked tokens and compendiums.
+ * @param {object} data     Drop data: a roll of qualité or talent ("DCJet") or an Item.
+ * @param {number} slot
+ * @returns {Promise<Macro|undefined>}
+ */
+async function createMacro(data, slot) {
+  let name;
+  let img;
+  let args;
+
+  if(data.type === 'DCJet') {
+    const actor = fromUuidSync(data.uuid);
+
+    if(!actor) return;
+
+    name = `${actor.name} : ${data.label}`;
+    img = data.jet === 'qualite' ? `systems/donjons-et-chatons/assets/icons/D6${data.key.charAt(0).toUpperCase()+data.key.substr(1)}.png` : "systems/donjons-et-chatons/assets/icons/D6Black.svg";
+    args = {uuid:data.uuid, jet:data.jet, key:data.key};
+  } else {
+    const item = await Item.implementation.fromDropData(data);
 
-  let img = "";
+    if(!item) return;
 
-  if(issay === true) {
-    if(id != 0) {
-      const item = game.actors.get(actorId).items.find(i => i.id === id);
-      img = item.img;
-    }
-  } else {
-    switch(id) {
-      case "costaud":
-        img = "systems/donjons-et-chatons/assets/icons/D6Costaud.png";
-        break;
-
-      case "malin":
-        img = "systems/donjons-et-chatons/assets/icons/D6Malin.png";
-        break;
-
-      case "mignon":
-        img = "systems/donjons-et-chatons/assets/icons/D6Mignon.png";
-        break;
-
-      default:
-        img = "systems/donjons-et-chatons/assets/icons/D6Black.svg";
-        break;
-    }
+    name = item.parent ? `${item.parent.name} : ${item.name}` : item.name;
+    img = item.img;
+    args = {uuid:item.uuid};
   }
 
-  let macro = await Macro.create({
-    name: label,
-    type: "script",
-    img: img,
-    command: command,
-    flags: { "dc.attributMacro": true }
+  const command = `game.dc.RollDCMacro(${JSON.stringify(args)});`;
+  const macro = game.macros.find(m => m.command === command && m.isOwner) ?? await Macro.create({
+    name:name,
+    type:"script",
+    img:img,
+    command:command,
+    flags:{"donjons-et-chatons":{macro:true}},
   });
-  game.user.assignHotbarMacro(macro, slot);
-  return false;
-}
-
-async function RollDCMacro(actorid, label, istalent, issay, id) {
-  const speaker = ChatMessage.getSpeaker();
-
-  let actor;
-  if (speaker.token) actor = game.actors.tokens[speaker.token];
-  if (!actor) actor = game.actors.get(speaker.actor);
-  if (!actor) actor = game.actors.get(actorid);
-
-  const data = actor.system;
 
-  let labelFinal = label;
-  let description = '';
-  let value = 0;
-  let dataTemplate = {};
-
-  if(istalent === "true") {
-    const nQualite = data.talents[id].qualite;
-    const vQualite = data.qualites;
-
-    if(nQualite === '') return;
+  game.user.assignHotbarMacro(macro, slot);
 
-    switch(nQualite) {
-      case 'costaud':
-        labelFinal = `${label} (${game.i18n.localize(`DC.QUALITES.Costaud`)})`;
-        value = vQualite.costaud;
-        break;
+  return macro;
+}
 
-      case 'malin':
-        labelFinal = `${label} (${game.i18n.localize(`DC.QUALITES.Malin`)})`;
-        value = vQualite.malin;
-        break;
+/**
+ * Run a macro created from the hotbar.
+ * A miagie is cast, another item is sent to the chat. An item without actor is looked for
+ * among the items of the speaker, and its sheet is opened if the speaker doesn't have it.
+ * @param {object} data
+ * @param {string} data.uuid    UUID of the actor rolling, or of the item.
+ * @param {string} [data.jet]   'qualite' or 'talent'.
+ * @param {string} [data.key]   Qualité or talent rolled.
+ * @returns {Promise}
+ */
+async function RollDCMacro(data, ...legacy) {
+  // Macros created before the UUIDs: id of the actor, label, talent or not, item or not, id.
+  if(typeof data === 'string') {
+    const actor = game.actors.get(data);
+    const [, istalent, issay, id] = legacy;
+
+    data = issay === "true" ? {uuid:actor?.items.get(id)?.uuid} : {uuid:actor?.uuid, jet:istalent === "true" ? 'talent' : 'qualite', key:id};
+  }
 
-      case 'mignon':
-        labelFinal = `${label} (${game.i18n.localize(`DC.QUALITES.Mignon`)})`;
-        value = vQualite.mignon;
-        break;
-    }
+  const speaker = ChatMessage.getSpeakerActor(ChatMessage.getSpeaker());
+  const doc = data.uuid ? await fromUuid(data.uuid) : null;
 
-    dataTemplate = {
-      label: `${labelFinal} : ${game.i18n.localize(`DC.ROLL.ASK.Type`)} ?`,
-      options:
-      `<option value="">${game.i18n.localize(`DC.ROLL.ASK.Standard`)}</option> <option value="avantage" selected>${game.i18n.localize(`DC.ROLL.ASK.Avantage`)}</option> <option value="desavantage">${game.i18n.localize(`DC.ROLL.ASK.Desavantage`)}</option>`
-    };
-  } else if(issay === "true") {
-    const item = game.actors.get(actorid).items.find(i => i.id === id);
+  if(doc instanceof Item) {
+    const item = doc.parent ? doc : speaker?.items.find(i => i.type === doc.type && i.name === doc.name);
 
-    labelFinal = item.name;
-    description = item.system.description;
-  } else {
-    value = +data.qualites[id];
+    if(!item) return doc.sheet.render(true);
+    if(item.type === 'miagie') return item.parent.castMiagie(item.id, DCRoll.getRapide());
 
-    dataTemplate = {
-      label: `${labelFinal} : ${game.i18n.localize(`DC.ROLL.ASK.Type`)} ?`,
-      options:
-      `<option value="">${game.i18n.localize(`DC.ROLL.ASK.Standard`)}</option> <option value="avantage">${game.i18n.localize(`DC.ROLL.ASK.Avantage`)}</option> <option value="desavantage">${game.i18n.localize(`DC.ROLL.ASK.Desavantage`)}</option>`
-    };
+    return item.parent.sendItem(item.id);
   }
 
-  if(issay === "true") {
-    const msgData = {
-      label:`${labelFinal}`,
-      description:`${description}`
-    };
+  const actor = doc ?? speaker;
 
-    const msg = {
-      user: game.user.id,
-      speaker: {
-        actor: actor?.id || null,
-        token: actor?.token?.id || null,
-        alias: actor?.name || null,
-      },
-      type: CONST.CHAT_MESSAGE_TYPES.OTHER,
-      content: await renderTemplate('systems/donjons-et-chatons/templates/msg/item.html', msgData)
-    };
-
-    const rMode = game.settings.get("core", "rollMode");
-    const msgFData = ChatMessage.applyRollMode(msg, rMode);
-
-    await ChatMessage.create(msgFData, {
-      rollMode:rMode
-    });
-  } else {
-    const dialogTemplate = await renderTemplate("systems/donjons-et-chatons/templates/dialog/ask.html", dataTemplate);
-    const dialogOptions = {
-      classes: ["dcaskroll"],
-    };
+  if(!actor) return;
+  if(data.jet === 'talent') return actor.rollTalent(data.key, DCRoll.getRapide());
 
-    let d = new Dialog({
-    title: `${game.i18n.localize(`DC.ROLL.ASK.Type`)}`,
-    content:dialogTemplate,
-    buttons: {
-      one: {
-      icon: '<i class="fas fa-check"></i>',
-      label: `${game.i18n.localize(`DC.ROLL.ASK.Roll`)}`,
-      callback: async (event) => {
-          const result = $(event.find('.choice'))[0].value;
-          let name = `${labelFinal}`;
-          let roll = `3D6`;
-          let formula = `3D6<=${value}`;
-          let numDice = 3;
-
-          switch(result) {
-            case 'avantage':
-              name += `<br/>${game.i18n.localize(`DC.ROLL.wAvantage`)}`;
-              roll = `4D6`;
-              formula = `4D6<=${value}`;
-              numDice = 4;
-              break;
-            case 'desavantage':
-              name += `<br/>${game.i18n.localize(`DC.ROLL.wDesavantage`)}`;
-              roll = `2D6`;
-              formula = `2D6<=${value}`;
-              numDice = 2;
-              break;
-          }
-
-          let r = new Roll(`${roll}cs<=${value}`);
-
-          await r.evaluate({async:true});
-
-          let dices = [];
-
-          for(let i = 0;i < r.dice[0].results.length;i++) {
-            const dS = r.dice[0].results[i];
-
-            if(dS.success) {
-              dices.push(`<li class="roll die d6 success" data-num="${i}">${dS.result}</li>`);
-            } else {
-              dices.push(`<li class="roll die d6" data-num="${i}">${dS.result}</li>`);
-            }
-          }
-
-          const tooltip = `
-          <div class="dice-tooltip">
-            <section class="tooltip-part">
-                <div class="dice">
-                    <header class="part-header flexrow">
-                        <span class="part-formula">${formula}</span>
-
-                        <span class="part-total">${r._total}</span>
-                    </header>
-                    <ol class="dice-rolls">
-                        ${dices.join(' ')}
-                    </ol>
-                </div>
-            </section>
-          </div>`;
-
-          const data = {
-            flavor:`${name}`,
-            main:{
-              total:r._total,
-              tooltip:tooltip
-            }
-          };
-
-          const msgData = {
-            user: game.user.id,
-            speaker: {
-              actor: actor?.id || null,
-              token: actor?.token?.id || null,
-              alias: actor?.name || null,
-            },
-            type: CONST.CHAT_MESSAGE_TYPES.OTHER,
-            content: await renderTemplate('systems/donjons-et-chatons/templates/msg/roll.html', data),
-            sound: CONFIG.sounds.dice
-          };
-
-          const rMode = game.settings.get("core", "rollMode");
-          const msgTotalData = ChatMessage.applyRollMode(msgData, rMode);
-
-          const msg = await ChatMessage.create(msgTotalData, {
-            rollMode:rMode
-          });
-
-          if(r._total < numDice) new DCRelance(name, actor, value, result, msg.id, dices, formula, r._total).render(true);
-        }
-      },
-      two: {
-      icon: '<i class="fas fa-times"></i>',
-      label: `${game.i18n.localize(`DC.ROLL.ASK.Cancel`)}`,
-      callback: () => {}
-      }
-    },
-    default: "two",
-    dialogOptions
-    },
-    dialogOptions);
-    d.render(true);
-  }
-}
\ No newline at end of file
+  return actor.rollQualite(data.key, DCRoll.getRapide());
+}
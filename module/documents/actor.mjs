@@ -1,3 +1,11 @@
+import DCRoll from "./roll.js";
+import DCOpposition from "./opposition.mjs";
+import SocketDC from "../helpers/socket.mjs";
+import { DCAmitieLog } from "../sheets/amitie-log.mjs";
+import { DCCreation } from "../sheets/creation.mjs";
+import { DCRelance } from "../sheets/relance-sheet.mjs";
+import { getTalents } from "../helpers/talents.mjs";
+
 /**
  * Extend the base Actor document to support attributes and groups with a custom template creation dialog.
  * @extends {Actor}
@@ -11,11 +19,40 @@ export class DCActor extends Actor {
   static async create(data, options = {}) {
     // Replace default image
     if (data.img === undefined) {
-        data.img = "systems/donjons-et-chatons/assets/icons/Chaton.svg";
+        switch(data.type) {
+          case 'bande':
+            data.img = "icons/environment/people/group.webp";
+            break;
+
+          case 'pnj':
+            data.img = "icons/svg/mystery-man.svg";
+            break;
+
+          default:
+            data.img = "systems/donjons-et-chatons/assets/icons/Chaton.svg";
+            break;
+        }
     }
     await super.create(data, options);
   }
 
+  /** @inheritdoc */
+  async _preCreate(data, options, user) {
+    if(await super._preCreate(data, options, user) === false) return false;
+
+    // The cœur of a PNJ is shown on its tokens, unless its data already sets the bars (compendium, duplicate).
+    const token = data.prototypeToken ?? {};
+
+    if(this.type === 'pnj' && token.displayBars === undefined && token.bar1?.attribute === undefined) {
+      this.updateSource({
+        prototypeToken:{
+          displayBars:CONST.TOKEN_DISPLAY_MODES.OWNER,
+          bar1:{attribute:'coeur'},
+        },
+      });
+    }
+  }
+
   /** @override */
   prepareData() {
     // Prepare data for the actor. Calling the super version of this executes
@@ -42,4 +79,735 @@ export class DCActor extends Actor {
     data.coeur.max = costaud+malin;
     data.amitie.max = mignon;
   };
+
+  /** @inheritdoc */
+  _onCreate(data, options, userId) {
+    super._onCreate(data, options, userId);
+
+    // A new chaton is created with the wizard, unless it already has its qualités.
+    if(game.user.id !== userId || this.type !== 'chaton') return;
+    if(Object.values(this.system.qualites).some(v => v > 0)) return;
+
+    new DCCreation(this).render(true);
+  }
+
+  /** @inheritdoc */
+  _onUpdate(changed, options, userId) {
+    super._onUpdate(changed, options, userId);
+
+    // Bands show the cœur and amitié of their members.
+    if(this.type === 'chaton') {
+      for(let bande of game.actors.filter(a => a.type === 'bande' && a.system.membres.includes(this.id))) bande.render(false);
+    }
+
+    // The conflict tracker shows the cœur of the combatants.
+    if(game.combat?.combatants.some(c => c.actor === this)) ui.combat.render();
+
+    if(game.user.id !== userId || !foundry.utils.hasProperty(changed, 'system.coeur.value')) return;
+
+    this._updateHorsDeCombat();
+  }
+
+  /**
+   * Value of one of the qualités of the actor.
+   * A PNJ uses its menace for the qualités it doesn't have.
+   * @param {string} key
+   * @returns {number}
+   */
+  getQualite(key) {
+    const value = this.system.qualites?.[key] ?? 0;
+
+    if(this.type === 'pnj' && !value) return this.system.menace;
+
+    return value;
+  }
+
+  /**
+   * Whether the actor is a band and the other actor one of its members, or the opposite.
+   * @param {Actor} other
+   * @returns {boolean}
+   */
+  isBandeLink(other) {
+    if(this.type === 'bande') return this.system.membres.includes(other.id);
+    if(other.type === 'bande') return other.system.membres.includes(this.id);
+
+    return false;
+  }
+
+  /**
+   * Move an item owned by another actor to this one.
+   * The Conteuse moves it if the user can't remove it from its previous owner.
+   * @param {Item} item
+   * @returns {Promise<Item|null>}    The item created on this actor, null if it couldn't be moved.
+   */
+  async moveItem(item) {
+    if(!item.isOwner) {
+      const id = await SocketDC.executeAsGM('deplacer', {item:item.uuid, actor:this.uuid});
+
+      if(!id) ui.notifications.warn(game.i18n.localize("DC.BANDE.DeplacementRefuse"));
+
+      return this.items.get(id) ?? null;
+    }
+
+    const [created] = await this.createEmbeddedDocuments('Item', [item.toObject()]);
+
+    if(created) await item.delete();
+
+    return created ?? null;
+  }
+
+  /**
+   * Move an item between a band and one of its members for a user who can't remove it, run by the GM.
+   * The user must own the actor receiving the item and be able to see the one giving it.
+   * @param {object} data
+   * @param {string} data.item      Uuid of the item.
+   * @param {string} data.actor     Uuid of the actor receiving the item.
+   * @param {User} user             User asking for the move.
+   * @returns {Promise<string|boolean>}   Id of the item created, false if it wasn't moved.
+   */
+  static async onMoveItem({item, actor}, user) {
+    const source = await fromUuid(item);
+    const target = await fromUuid(actor);
+
+    if(!source?.parent || !target?.testUserPermission(user, "OWNER")) return false;
+    if(!source.parent.testUserPermission(user, "OBSERVER") || !target.isBandeLink(source.parent)) return false;
+    if(target.type === 'bande' && source.type !== 'equipement') return false;
+
+    const created = await target.moveItem(source);
+
+    return created?.id ?? false;
+  }
+
+  /**
+   * Remove points of cœur from the actor. A chaton without cœur is "hors de combat".
+   * @param {number} [amount]
+   * @returns {Promise}
+   */
+  async applyDamage(amount=1) {
+    return this._modifyCoeur(-amount);
+  }
+
+  /**
+   * Give points of cœur back to the actor, up to its maximum.
+   * @param {number} [amount]
+   * @param {object} [options]
+   * @param {string} [options.message]  Id of the message of the miagie healing the actor, which lets a player heal a chaton they don't own.
+   * @returns {Promise}
+   */
+  async heal(amount=1, {message}={}) {
+    return this._modifyCoeur(amount, message);
+  }
+
+  /**
+   * Change the cœur of the actor, between 0 and its maximum.
+   * The Conteuse applies the change if the user doesn't own the actor.
+   * @param {number} delta
+   * @param {string} [message]    Id of the message of the miagie healing the actor.
+   * @returns {Promise<boolean>}  Whether the cœur was changed.
+   */
+  async _modifyCoeur(delta, message) {
+    if(!this.isOwner) return SocketDC.executeAsGM('coeur', {uuid:this.uuid, delta, message});
+
+    const coeur = this.system.coeur;
+
+    await this.update({'system.coeur.value':Math.max(Math.min(coeur.value+delta, coeur.max), 0)});
+
+    return true;
+  }
+
+  /**
+   * Change the cœur of an actor the user doesn't own, run by the GM.
+   * A player can only heal it, with a successful miagie they rolled that gives back as much cœur and hasn't healed yet.
+   * @param {object} data
+   * @param {string} data.uuid        Uuid of the actor.
+   * @param {number} data.delta
+   * @param {string} [data.message]   Id of the message of the miagie.
+   * @param {User} user               User asking for the change.
+   * @returns {Promise<boolean>}      Whether the cœur was changed.
+   */
+  static async onModifyCoeur({uuid, delta, message}, user) {
+    const actor = await fromUuid(uuid);
+
+    if(!actor?.system.coeur) return false;
+
+    if(!actor.testUserPermission(user, "OWNER")) {
+      const msg = game.messages.get(message);
+      const flags = msg?.getFlag("donjons-et-chatons", "roll");
+
+      if(delta <= 0 || !flags?.miagie || flags.soin?.applique || msg.author?.id !== user.id) return false;
+
+      const verdict = DCRoll.getMiagieVerdict(flags.miagie, flags.results);
+
+      if(!verdict.reussite || delta > verdict.soin) return false;
+    }
+
+    return actor._modifyCoeur(delta);
+  }
+
+  /**
+   * Apply or remove the "hors de combat" status, depending on the cœur left.
+   */
+  async _updateHorsDeCombat() {
+    const coeur = this.system.coeur;
+    const horsDeCombat = coeur.max > 0 && coeur.value <= 0;
+
+    if(this.statuses.has(CONFIG.DC.horsDeCombat.id) === horsDeCombat) return;
+
+    await this.toggleStatusEffect(CONFIG.DC.horsDeCombat.id, {active:horsDeCombat, overlay:true});
+  }
+
+  /**
+   * Roll one of the qualités of the actor.
+   * @param {string} key                  Qualité to roll (costaud, malin or mignon).
+   * @param {object} [options]
+   * @param {string} [options.type]       Add an avantage ('avantage') or a désavantage ('desavantage') from the circumstances.
+   *                                      Defaults to the type set in the house rules for this source of roll.
+   * @param {object} [options.sources]    Sources of avantage and désavantage to toggle, by id.
+   * @param {number} [options.seuil]      Seuil de difficulté.
+   * @param {boolean} [options.dialog]    Ask the roll type and the seuil before rolling.
+   * @param {string} [options.demande]    Id of the message of the Conteuse asking for this roll.
+   * @param {Actor|object} [options.opposition]  Actor to oppose the roll to, or the side of an opposed roll already started.
+   * @param {string} [options.groupe]     Id of the message of the group roll this roll is part of.
+   * @returns {Promise<DCRoll|null>}
+   */
+  async rollQualite(key, options={}) {
+    if(!CONFIG.DC.qualites[key]) return null;
+
+    return this._roll({
+      label:game.i18n.localize(CONFIG.DC.qualites[key]),
+      qualite:key,
+      ...options,
+    });
+  }
+
+  /**
+   * Roll one of the talents of the actor, with the qualité it is associated to.
+   * A talent owned by the actor gives an avantage.
+   * @param {string} key                  Talent to roll.
+   * @param {object} [options]            See DCActor#rollQualite.
+   * @param {string} [options.qualite]    Qualité to roll the talent with, instead of the one the actor associated.
+   * @returns {Promise<DCRoll|null>}
+   */
+  async rollTalent(key, {qualite, ...options}={}) {
+    qualite ||= this.system.talents?.[key]?.qualite;
+
+    if(!qualite) {
+      ui.notifications.warn(game.i18n.format("DC.TALENTS.SansQualite", {name:game.i18n.localize(CONFIG.DC.talentsLabels[key])}));
+      return null;
+    }
+
+    return this._roll({
+      label:`${game.i18n.localize(CONFIG.DC.talentsLabels[key])} (${game.i18n.localize(CONFIG.DC.qualites[qualite])})`,
+      qualite:qualite,
+      talent:key,
+      ...options,
+    });
+  }
+
+  /**
+   * Cast one of the miagies of the actor, rolling against its associated qualité.
+   * @param {string} itemId               Id of the miagie.
+   * @param {object} [options]            See DCActor#rollQualite.
+   * @param {boolean} [options.gratuit]   Cast without spending cœur, even if the house rules ask for it.
+   * @returns {Promise<DCRoll|null>}
+   */
+  async castMiagie(itemId, options={}) {
+    const item = this.items.get(itemId);
+
+    if(item?.type !== 'miagie') return null;
+
+    const qualite = item.system.qualite;
+
+    if(qualite === '') {
+      ui.notifications.warn(game.i18n.format("DC.MIAGIE.SansQualite", {name:item.name}));
+      return null;
+    }
+
+    return this._roll({
+      label:`${item.name} (${game.i18n.localize(CONFIG.DC.qualites[qualite])})`,
+      qualite:qualite,
+      miagie:item,
+      ...options,
+    });
+  }
+
+  /**
+   * Send the description of one of the items of the actor to the chat.
+   * @param {string} itemId   Id of the item.
+   * @returns {Promise<ChatMessage|undefined>}
+   */
+  async sendItem(itemId) {
+    const item = this.items.get(itemId);
+
+    if(!item) return;
+
+    const msgData = {
+      label:`${item.name}`,
+      description:`${item.system.description}`
+    };
+
+    const msg = {
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({actor:this}),
+      content: await renderTemplate('systems/donjons-et-chatons/templates/msg/item.html', msgData)
+    };
+
+    const rMode = game.settings.get("core", "rollMode");
+    const msgFData = ChatMessage.applyRollMode(msg, rMode);
+
+    return ChatMessage.create(msgFData, {
+      rollMode:rMode
+    });
+  }
+
+  /**
+   * Give one of the points of amitié of the actor to another chaton.
+   * The transfer is done by the Conteuse, so it works even if the player doesn't own the other chaton.
+   * @param {DCActor} target          The chaton receiving the point.
+   * @param {object} [options]
+   * @param {boolean} [options.chat]  Send a message to the chat.
+   * @returns {Promise<boolean>}      Whether the point was given.
+   */
+  async giveAmitie(target, {chat=true}={}) {
+    if(this.system.amitie.value < 1) {
+      ui.notifications.warn(game.i18n.format("DC.AMITIE.Epuise", {name:this.name}));
+      return false;
+    }
+
+    if(target.system.amitie.value >= target.system.amitie.max) {
+      ui.notifications.warn(game.i18n.format("DC.AMITIE.Plein", {name:target.name}));
+      return false;
+    }
+
+    if(!await SocketDC.executeAsGM('giveAmitie', {from:this.uuid, to:target.uuid})) {
+      ui.notifications.warn(game.i18n.localize("DC.AMITIE.Refuse"));
+      return false;
+    }
+
+    if(chat) await this._sendAmitie(game.i18n.format("DC.AMITIE.Don", {cible:target.name}));
+
+    return true;
+  }
+
+  /**
+   * Spend one of the points of amitié of the actor to help the roll of another chaton.
+   * @param {ChatMessage} message     Message of the roll to help.
+   * @param {string} mode             'de' to add a dice to the roll, 'relance' to give it one more reroll.
+   * @returns {Promise<boolean>}      Whether the point was spent.
+   */
+  async aider(message, mode) {
+    if(this.system.amitie.value < 1) {
+      ui.notifications.warn(game.i18n.format("DC.AMITIE.Epuise", {name:this.name}));
+      return false;
+    }
+
+    if(!await SocketDC.executeAsGM('aider', {message:message.id, helper:this.uuid, mode})) {
+      ui.notifications.warn(game.i18n.localize("DC.AMITIE.Refuse"));
+      return false;
+    }
+
+    await this._sendAmitie(game.i18n.format(`DC.AMITIE.AIDE.${mode}`, {cible:message.speaker.alias}));
+
+    return true;
+  }
+
+  /**
+   * Send a message to the chat about a point of amitié given or spent by the actor.
+   * @param {string} detail
+   * @returns {Promise<ChatMessage>}
+   */
+  async _sendAmitie(detail) {
+    return ChatMessage.create({
+      user:game.user.id,
+      speaker:ChatMessage.getSpeaker({actor:this}),
+      content:await renderTemplate('systems/donjons-et-chatons/templates/msg/amitie.html', {
+        label:game.i18n.localize("DC.Amitie"),
+        detail:detail,
+      }),
+    });
+  }
+
+  /**
+   * Move a point of amitié from one chaton to another, run by the GM.
+   * @param {object} data
+   * @param {string} data.from    Uuid of the chaton giving the point.
+   * @param {string} data.to      Uuid of the chaton receiving it.
+   * @param {User} user           User asking for the transfer.
+   * @returns {Promise<boolean>}  Whether the point was given.
+   */
+  static async onGiveAmitie({from, to}, user) {
+    const giver = await fromUuid(from);
+    const target = await fromUuid(to);
+
+    if(!giver || !target || !giver.testUserPermission(user, "OWNER")) return false;
+    if(giver.system.amitie.value < 1 || target.system.amitie.value >= target.system.amitie.max) return false;
+
+    await giver.update({'system.amitie.value':giver.system.amitie.value-1});
+    await target.update({'system.amitie.value':Math.min(target.system.amitie.value+1, target.system.amitie.max)});
+    await DCAmitieLog.add({
+      type:'don',
+      de:giver.name,
+      a:target.name,
+      user:user.name,
+    });
+
+    return true;
+  }
+
+  /**
+   * Ask which chaton receives a point of amitié.
+   * @param {string} label            Question shown in the dialog.
+   * @returns {Promise<DCActor|null>}
+   */
+  async askAmitieTarget(label) {
+    let chatons = game.actors.filter(a => a.type === 'chaton' && a.id !== this.id);
+
+    if(chatons.some(a => a.hasPlayerOwner)) chatons = chatons.filter(a => a.hasPlayerOwner);
+    if(!chatons.length) return null;
+
+    const content = await renderTemplate("systems/donjons-et-chatons/templates/dialog/amitie.html", {
+      label:label,
+      chatons:Object.fromEntries(chatons.map(a => [a.id, a.name])),
+    });
+
+    return new Promise(resolve => {
+      new Dialog({
+        title:game.i18n.localize("DC.Amitie"),
+        content:content,
+        buttons:{
+          one:{
+            icon:'<i class="fas fa-check"></i>',
+            label:game.i18n.localize("DC.AMITIE.Donner"),
+            callback:html => resolve(game.actors.get(html.find('select.cible').val()) ?? null)
+          },
+          two:{
+            icon:'<i class="fas fa-times"></i>',
+            label:game.i18n.localize("DC.ROLL.ASK.Cancel"),
+            callback:() => resolve(null)
+          }
+        },
+        default:"one",
+        close:() => resolve(null),
+      }, {classes:["dcaskroll"]}).render(true);
+    });
+  }
+
+  /**
+   * Cost in experience of an advancement.
+   * @param {string} type     'qualite', 'talent' or 'miagie'.
+   * @returns {number}
+   */
+  static getCoutProgression(type) {
+    return game.settings.get("donjons-et-chatons", CONFIG.DC.progression[type]);
+  }
+
+  /**
+   * Ask which advancement the chaton buys with its experience.
+   * @returns {Promise<object|null>}  The type of advancement and what is improved.
+   */
+  async askProgression() {
+    const qualites = {};
+    const talents = {};
+    const miagies = {};
+
+    for(let [key, label] of Object.entries(CONFIG.DC.qualites)) {
+      const value = this.system.qualites[key];
+
+      if(value < CONFIG.DC.qualiteMax) qualites[key] = `${game.i18n.localize(label)} (${value} → ${value+1})`;
+    }
+
+    for(let key of getTalents()) {
+      if(!this.system.talents[key]?.value) talents[key] = game.i18n.localize(CONFIG.DC.talentsLabels[key]);
+    }
+
+    const owned = this.items.filter(i => i.type === 'miagie').map(i => i.name);
+
+    for(let pack of game.packs.filter(p => p.documentName === 'Item')) {
+      const index = await pack.getIndex({fields:['type']});
+
+      for(let i of index.filter(i => i.type === 'miagie' && !owned.includes(i.name))) miagies[i.uuid] = `${i.name} (${pack.metadata.label})`;
+    }
+
+    for(let i of game.items.filter(i => i.type === 'miagie' && !owned.includes(i.name))) miagies[i.uuid] = i.name;
+
+    const choix = Object.keys(CONFIG.DC.progression).map(type => ({
+      type:type,
+      label:`DC.PROGRESSION.${type}`,
+      cout:DCActor.getCoutProgression(type),
+      options:{qualite:qualites, talent:talents, miagie:miagies}[type],
+    }));
+
+    const content = await renderTemplate('systems/donjons-et-chatons/templates/dialog/progression.html', {
+      actuelle:this.system.experience.actuelle,
+      choix:choix,
+    });
+
+    return new Promise(resolve => {
+      new Dialog({
+        title:game.i18n.localize("DC.PROGRESSION.Label"),
+        content:content,
+        buttons:{
+          one:{
+            icon:'<i class="fas fa-check"></i>',
+            label:game.i18n.localize("DC.PROGRESSION.Acheter"),
+            callback:html => {
+              const type = html.find('input[name="type"]:checked').val();
+              const cle = html.find(`select[data-type="${type}"]`).val();
+
+              resolve(type && cle ? {type, cle} : null);
+            }
+          },
+          two:{
+            icon:'<i class="fas fa-times"></i>',
+            label:game.i18n.localize("DC.ROLL.ASK.Cancel"),
+            callback:() => resolve(null)
+          }
+        },
+        default:"one",
+        close:() => resolve(null),
+      }, {classes:["dcaskroll"]}).render(true);
+    });
+  }
+
+  /**
+   * Spend experience to raise a qualité, learn a talent or gain a miagie.
+   * The advancement is logged in the progression of the chaton.
+   * @param {string} type     'qualite', 'talent' or 'miagie'.
+   * @param {string} cle      Key of the qualité or talent, uuid of the miagie.
+   * @returns {Promise<boolean>}  Whether the advancement was bought.
+   */
+  async progresser(type, cle) {
+    const cout = DCActor.getCoutProgression(type);
+    const actuelle = this.system.experience.actuelle;
+
+    if(actuelle < cout) {
+      ui.notifications.warn(game.i18n.format("DC.PROGRESSION.PasAssez", {cout}));
+      return false;
+    }
+
+    const update = {'system.experience.actuelle':actuelle-cout};
+    const entry = {date:Date.now(), type, cle, cout, label:'', itemId:''};
+
+    switch(type) {
+      case 'qualite': {
+        const value = this.system.qualites[cle];
+
+        if(value === undefined || value >= CONFIG.DC.qualiteMax) return false;
+
+        update[`system.qualites.${cle}`] = value+1;
+        entry.label = `${game.i18n.localize(CONFIG.DC.qualites[cle])} ${value+1}`;
+        break;
+      }
+
+      case 'talent':
+        if(!getTalents().includes(cle) || this.system.talents[cle]?.value) return false;
+
+        update[`system.talents.${cle}.value`] = true;
+        entry.label = game.i18n.localize(CONFIG.DC.talentsLabels[cle]);
+        break;
+
+      case 'miagie': {
+        const miagie = await fromUuid(cle);
+
+        if(miagie?.type !== 'miagie') return false;
+
+        const [item] = await this.createEmbeddedDocuments('Item', [miagie.toObject()]);
+
+        entry.label = item.name;
+        entry.itemId = item.id;
+        break;
+      }
+
+      default:
+        return false;
+    }
+
+    update['system.progression'] = [...this.system.toObject().progression, entry];
+    await this.update(update);
+
+    return true;
+  }
+
+  /**
+   * Undo one of the advancements of the chaton and refund its experience. Only the GM can.
+   * @param {number} index    Index of the advancement in the progression.
+   * @returns {Promise<boolean>}  Whether the advancement was undone.
+   */
+  async annulerProgression(index) {
+    if(!game.user.isGM) return false;
+
+    const progression = this.system.toObject().progression;
+    const entry = progression[index];
+
+    if(!entry) return false;
+
+    const update = {'system.experience.actuelle':this.system.experience.actuelle+entry.cout};
+
+    switch(entry.type) {
+      case 'qualite':
+        update[`system.qualites.${entry.cle}`] = Math.max(this.system.qualites[entry.cle]-1, 0);
+        break;
+
+      case 'talent':
+        update[`system.talents.${entry.cle}.value`] = false;
+        break;
+
+      case 'miagie':
+        await this.items.get(entry.itemId)?.delete();
+        break;
+    }
+
+    progression.splice(index, 1);
+    update['system.progression'] = progression;
+    await this.update(update);
+
+    return true;
+  }
+
+  /**
+   * List the sources of avantage and désavantage that can apply to a roll.
+   * @param {object} rollData
+   * @returns {object[]}
+   */
+  _prepareSources(rollData) {
+    const toggles = rollData.sources ?? {};
+    const sources = [];
+    const add = (id, label, type, active) => {
+      const source = {
+        id:id,
+        label:label,
+        type:type,
+        active:toggles[id] ?? active,
+      };
+
+      sources.push(source);
+      return source;
+    };
+
+    if(rollData.talent) {
+      add('talent', game.i18n.localize(CONFIG.DC.talentsLabels[rollData.talent]), CONFIG.DC.sources.talent, this.system.talents?.[rollData.talent]?.value ?? false);
+    }
+
+    // A trait of caractère is invoked as positive (avantage) or negative (a point of amitié is offered).
+    (this.system.caractere ?? []).forEach((trait, index) => {
+      if(!trait.nom) return;
+
+      const source = add(`caractere.${index}`, trait.nom, CONFIG.DC.sources.caractere, false);
+      source.caractere = true;
+      source.negatif = source.active === 'negatif';
+      source.active = source.active === true || source.active === 'positif';
+    });
+
+    for(let i of this.items.filter(i => i.type === 'equipement')) {
+      add(`equipement.${i.id}`, i.name, CONFIG.DC.sources.equipement, false);
+    }
+
+    add('circonstance', game.i18n.localize('DC.ROLL.SOURCES.circonstance'), CONFIG.DC.sources.circonstance, rollData.type === 'avantage');
+    add('penalite', game.i18n.localize('DC.ROLL.SOURCES.penalite'), CONFIG.DC.sources.penalite, rollData.type === 'desavantage');
+
+    return sources;
+  }
+
+  /**
+   * Ask the sources of avantage and the seuil if needed, then roll and send the result to the chat.
+   * The "dc.preRoll" hook can modify the roll data or cancel the roll by returning false,
+   * the "dc.roll" hook is called once the message is sent.
+   * @param {object} data
+   * @returns {Promise<DCRoll|null>}
+   */
+  async _roll(data) {
+    const rollData = {
+      seuil:0,
+      dialog:true,
+      miagie:null,
+      talent:null,
+      demande:null,
+      opposition:null,
+      groupe:null,
+      ...data,
+    };
+
+    // Type of roll chosen by the house rules for this source of roll, unless the roll sets one.
+    rollData.type ??= game.settings.get("donjons-et-chatons", rollData.miagie ? 'typeMiagie' : rollData.talent ? 'typeTalent' : 'typeQualite');
+    rollData.value = this.getQualite(rollData.qualite);
+    rollData.sources = this._prepareSources(rollData);
+
+    if(rollData.dialog) {
+      const cible = rollData.miagie || rollData.opposition ? null : DCOpposition.getCible(this);
+      const {opposition, ...answer} = await DCRoll.ask(rollData.label, {
+        sources:rollData.sources,
+        seuil:rollData.seuil,
+        seuils:!rollData.miagie && DCRoll.canSeeSeuil(),
+        cible:cible?.name,
+        difficulte:parseInt(rollData.value) || 0,
+      }) ?? {};
+
+      if(!answer.sources) return null;
+
+      Object.assign(rollData, answer);
+      if(opposition) rollData.opposition = cible;
+    }
+
+    if(Hooks.call("dc.preRoll", this, rollData) === false) return null;
+
+    // Casting a miagie can cost a point of cœur, in the house rules.
+    if(rollData.miagie && !rollData.gratuit && game.settings.get("donjons-et-chatons", "coeurMiagie")) {
+      if(this.system.coeur.value < 1) {
+        ui.notifications.warn(game.i18n.format("DC.MIAGIE.SansCoeur", {name:this.name}));
+        return null;
+      }
+
+      await this.applyDamage(1);
+    }
+
+    // An opposed roll starts with its card, the other side answers from it.
+    if(rollData.opposition instanceof Actor) {
+      const card = await DCOpposition.create(this, rollData.opposition, rollData.label);
+
+      rollData.opposition = {message:card.id, cote:'attaquant'};
+    }
+
+    const amitie = [];
+
+    for(let source of rollData.sources.filter(s => s.caractere && s.negatif)) {
+      const target = await this.askAmitieTarget(game.i18n.format("DC.AMITIE.Offrir", {trait:source.label}));
+
+      if(!target || !await this.giveAmitie(target, {chat:false})) continue;
+
+      amitie.push({
+        trait:source.label,
+        cible:target.name,
+      });
+    }
+
+    const {type, dices} = DCRoll.getDices(rollData.sources);
+    let name = `${rollData.label}`;
+
+    switch(type) {
+      case 'avantage':
+        name += `<br/>${game.i18n.localize(`DC.ROLL.wAvantage`)}`;
+        break;
+      case 'desavantage':
+        name += `<br/>${game.i18n.localize(`DC.ROLL.wDesavantage`)}`;
+        break;
+    }
+
+    const r = new DCRoll(this, name);
+    r.difficulte = parseInt(rollData.value);
+    r.seuil = rollData.seuil;
+    r.miagie = rollData.miagie;
+    r.sources = rollData.sources.filter(s => s.active);
+    r.amitie = amitie;
+    r.demande = rollData.demande;
+    r.opposition = rollData.opposition;
+    r.groupe = rollData.groupe;
+    await r.doRoll(`${dices}D6`, type);
+    const msg = await r.sendMsg();
+
+    if(msg && game.settings.get("donjons-et-chatons", "relanceAuto") && DCRelance.canRelance(msg)) new DCRelance(msg).render(true);
+
+    Hooks.callAll("dc.roll", this, r, msg);
+
+    return r;
+  }
 }
\ No newline at end of file
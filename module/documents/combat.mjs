@@ -0,0 +1,163 @@
+/**
+ * Conflict between the chatons and their opponents.
+ * There is no initiative: the Conteuse chooses who acts next, and the combatants are grouped by camp.
+ * @extends {Combat}
+ */
+export class DCCombat extends Combat {
+
+  /** @inheritdoc */
+  _sortCombatants(a, b) {
+    const camps = Object.keys(CONFIG.DC.camps);
+    const camp = camps.indexOf(a.camp)-camps.indexOf(b.camp);
+
+    if(camp !== 0) return camp;
+
+    return (a.name ?? '').localeCompare(b.name ?? '');
+  }
+
+  /**
+   * Nothing to roll, the order of the conflict is narrative.
+   * @inheritdoc
+   */
+  async rollInitiative(ids, options={}) {
+    return this;
+  }
+
+  /** @inheritdoc */
+  async startCombat() {
+    await this.updateEmbeddedDocuments('Combatant', this.combatants.map(c => ({
+      _id:c.id,
+      'flags.donjons-et-chatons.depart':c.getEtat(),
+    })));
+
+    return super.startCombat();
+  }
+
+  /**
+   * The combatants can act again in the new round.
+   * @inheritdoc
+   */
+  async nextRound() {
+    await this.updateEmbeddedDocuments('Combatant', this.combatants.map(c => ({
+      _id:c.id,
+      'flags.donjons-et-chatons.agi':false,
+    })));
+
+    return super.nextRound();
+  }
+
+  /**
+   * Give the turn to a combatant, chosen by the Conteuse.
+   * The combatant who had the turn has acted for this round.
+   * @param {string} combatantId
+   * @returns {Promise<Combat>}
+   */
+  async choisirTour(combatantId) {
+    const turn = this.turns.findIndex(c => c.id === combatantId);
+
+    if(turn === -1) return this;
+
+    await this.combatant?.setFlag("donjons-et-chatons", "agi", true);
+
+    return this.update({turn:turn});
+  }
+
+  /**
+   * Post the recap of the conflict before ending it.
+   * @inheritdoc
+   */
+  async endCombat() {
+    return Dialog.confirm({
+      title:game.i18n.localize("COMBAT.EndTitle"),
+      content:`<p>${game.i18n.localize("COMBAT.EndConfirmation")}</p>`,
+      yes:async () => {
+        if(this.started) await this.sendRecap();
+
+        return this.delete();
+      },
+    });
+  }
+
+  /**
+   * Send to the chat who fell during the conflict, and the cœur and amitié spent.
+   * @returns {Promise<ChatMessage>}
+   */
+  async sendRecap() {
+    const camps = Object.entries(CONFIG.DC.camps).map(([camp, label]) => ({
+      label:label,
+      combatants:this.turns.filter(c => c.camp === camp).map(c => {
+        const depart = c.getFlag("donjons-et-chatons", "depart") ?? c.getEtat();
+        const etat = c.getEtat();
+
+        return {
+          name:c.name,
+          horsDeCombat:c.actor?.statuses.has(CONFIG.DC.horsDeCombat.id) ?? false,
+          coeur:Math.max(depart.coeur-etat.coeur, 0),
+          amitie:etat.amitie === null ? null : Math.max(depart.amitie-etat.amitie, 0),
+        };
+      }),
+    })).filter(c => c.combatants.length);
+
+    return ChatMessage.create({
+      user:game.user.id,
+      speaker:{alias:game.i18n.localize("DC.Conteuse")},
+      content:await renderTemplate('systems/donjons-et-chatons/templates/msg/conflit.html', {
+        rounds:this.round,
+        camps:camps,
+      }),
+    });
+  }
+}
+
+/**
+ * Participant of a conflict, in the camp of the chatons or of their opponents.
+ * @extends {Combatant}
+ */
+export class DCCombatant extends Combatant {
+
+  /**
+   * Camp of the combatant, the chatons unless the Conteuse changed it or the actor isn't a chaton.
+   * @type {string}
+   */
+  get camp() {
+    return this.getFlag("donjons-et-chatons", "camp") ?? (this.actor?.type === 'chaton' ? 'chatons' : 'adversaires');
+  }
+
+  /**
+   * Whether the combatant has acted this round.
+   * @type {boolean}
+   */
+  get agi() {
+    return this.getFlag("donjons-et-chatons", "agi") ?? false;
+  }
+
+  /**
+   * Cœur and amitié of the actor, to know what was spent during the conflict.
+   * @returns {object}
+   */
+  getEtat() {
+    const system = this.actor?.system;
+
+    return {
+      coeur:system?.coeur?.value ?? 0,
+      amitie:system?.amitie?.value ?? null,
+    };
+  }
+
+  /** @inheritdoc */
+  async _preCreate(data, options, user) {
+    if(await super._preCreate(data, options, user) === false) return false;
+
+    this.updateSource({'flags.donjons-et-chatons.depart':this.getEtat()});
+  }
+
+  /**
+   * Move the combatant to the other camp.
+   * @returns {Promise<Combatant>}
+   */
+  async changerCamp() {
+    const camps = Object.keys(CONFIG.DC.camps);
+
+    return this.setFlag("donjons-et-chatons", "camp", camps[(camps.indexOf(this.camp)+1)%camps.length]);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,236 @@
+import DCRoll from "./roll.js";
+import { getTalents } from "../helpers/talents.mjs";
+import { queueUpdate } from "../helpers/queue.mjs";
+
+/**
+ * Chat card of the Conteuse asking for a roll.
+ * The targeted players roll from the card, and the active GM updates it with each result.
+ */
+export default class DCDemande {
+
+  /**
+   * The HTML template path used to render the card to the chat log
+   * @type {string}
+   */
+  static CHAT_TEMPLATE = "systems/donjons-et-chatons/templates/msg/demande.html";
+
+  /**
+   * Ask the Conteuse which roll is requested, then send the card.
+   * @returns {Promise<ChatMessage|null>}
+   */
+  static async dialog() {
+    if(!game.user.isGM) return null;
+
+    const talents = {};
+
+    for(let key of getTalents()) talents[`talent.${key}`] = CONFIG.DC.talentsLabels[key];
+
+    const content = await renderTemplate('systems/donjons-et-chatons/templates/dialog/demande.html', {
+      qualites:Object.fromEntries(Object.entries(CONFIG.DC.qualites).map(([key, label]) => [`qualite.${key}`, label])),
+      talents:talents,
+      actors:this.getActors(),
+    });
+
+    return new Promise(resolve => {
+      new Dialog({
+        title:game.i18n.localize("DC.DEMANDE.Label"),
+        content:content,
+        buttons:{
+          one:{
+            icon:'<i class="fas fa-check"></i>',
+            label:game.i18n.localize("DC.DEMANDE.Envoyer"),
+            callback:html => {
+              const [type, key] = html.find('select.jet').val().split('.');
+
+              resolve(this.create({
+                [type]:key,
+                seuil:parseInt(html.find('select.seuil').val()) || 0,
+                actors:html.find('input.actor:checked').map((i, el) => $(el).data('uuid')).get(),
+              }));
+            }
+          },
+          two:{
+            icon:'<i class="fas fa-times"></i>',
+            label:game.i18n.localize("DC.ROLL.ASK.Cancel"),
+            callback:() => resolve(null)
+          }
+        },
+        default:"one",
+        close:() => resolve(null),
+      }, {classes:["dcaskroll"]}).render(true);
+    });
+  }
+
+  /**
+   * Actors that can be asked for a roll: the chatons of the players and the actors of the tokens of the scene.
+   * @returns {object[]}
+   */
+  static getActors() {
+    const actors = game.actors.filter(a => a.type === 'chaton' && a.hasPlayerOwner);
+
+    for(let t of canvas.tokens?.placeables ?? []) {
+      if(t.actor?.system.qualites && !actors.includes(t.actor)) actors.push(t.actor);
+    }
+
+    return actors.map(a => ({uuid:a.uuid, name:a.name, img:a.img}));
+  }
+
+  /**
+   * Send the card asking for a roll.
+   * @param {object} data
+   * @param {string} [data.qualite]   Qualité to roll.
+   * @param {string} [data.talent]    Talent to roll. With a qualité, the talent is rolled with it.
+   * @param {number} [data.seuil]     Seuil de difficulté.
+   * @param {string} [data.type]      Type of the roll ('avantage' or 'desavantage'), the house rules choose it if not set.
+   * @param {string[]} [data.actors]  Uuids of the actors that must roll. Any chaton can roll if empty.
+   * @returns {Promise<ChatMessage>}
+   */
+  static async create({qualite=null, talent=null, seuil=0, type=null, actors=[]}={}) {
+    const flags = {
+      qualite:qualite,
+      talent:talent,
+      seuil:seuil,
+      type:type || null,
+      label:this.getLabel(qualite, talent),
+      actors:actors.map(uuid => fromUuidSync(uuid)).filter(a => a).map(a => ({uuid:a.uuid, name:a.name})),
+      resultats:[],
+    };
+
+    return ChatMessage.create({
+      user:game.user.id,
+      speaker:{alias:game.i18n.localize("DC.Conteuse")},
+      content:await this.renderCard(flags),
+      flags:{
+        "donjons-et-chatons":{
+          demande:flags
+        }
+      },
+    });
+  }
+
+  /**
+   * Label of a roll of qualité or talent, with the qualité a talent is rolled with if it is set.
+   * @param {string} [qualite]
+   * @param {string} [talent]
+   * @returns {string}
+   */
+  static getLabel(qualite, talent) {
+    const label = qualite ? game.i18n.localize(CONFIG.DC.qualites[qualite]) : '';
+
+    if(!talent) return label;
+
+    const labelTalent = game.i18n.localize(CONFIG.DC.talentsLabels[talent]);
+
+    return label ? `${labelTalent} (${label})` : labelTalent;
+  }
+
+  /**
+   * Render the card from the data stored in the message flags.
+   * @param {object} flags
+   * @returns {Promise<string>}
+   */
+  static async renderCard(flags) {
+    const attendus = flags.actors.map(a => ({
+      name:a.name,
+      resultat:flags.resultats.find(r => r.actor === a.uuid),
+    }));
+
+    for(let r of flags.resultats.filter(r => !flags.actors.some(a => a.uuid === r.actor))) {
+      attendus.push({name:r.name, resultat:r});
+    }
+
+    return renderTemplate(this.CHAT_TEMPLATE, {
+      label:flags.label,
+      seuil:flags.seuil ? DCRoll.getSeuilVerdict(flags.seuil, 0) : null,
+      type:flags.type ? CONFIG.DC.types[flags.type] : null,
+      attendus:attendus,
+    });
+  }
+
+  /**
+   * Actor the current user rolls with, from the ones the card is waiting for.
+   * @param {object} flags
+   * @returns {Actor|null}
+   */
+  static getRoller(flags) {
+    const done = flags.resultats.map(r => r.actor);
+    let candidates;
+
+    if(flags.actors.length) candidates = flags.actors.map(a => fromUuidSync(a.uuid));
+    else {
+      candidates = canvas.tokens?.controlled.map(t => t.actor) ?? [];
+
+      if(!game.user.isGM) candidates.push(game.user.character, ...game.actors.filter(a => a.type === 'chaton' && a.isOwner));
+    }
+
+    candidates = candidates.filter(a => a?.isOwner && !done.includes(a.uuid));
+
+    return candidates.find(a => canvas.tokens?.controlled.some(t => t.actor === a)) ?? candidates[0] ?? null;
+  }
+
+  /**
+   * Handle the button of the card rolling for the user.
+   * @param {ChatMessage} message
+   * @param {jQuery} html
+   */
+  static activateCard(message, html) {
+    const flags = message.getFlag("donjons-et-chatons", "demande");
+
+    if(!this.getRoller(flags)) {
+      html.find('.dc-demande-roll').remove();
+      return;
+    }
+
+    html.find('.dc-demande-roll button').click(ev => {
+      ev.preventDefault();
+      const actor = this.getRoller(flags);
+      const options = {seuil:flags.seuil, type:flags.type || undefined, demande:message.id};
+
+      if(!actor) return;
+
+      if(flags.talent) actor.rollTalent(flags.talent, {...options, qualite:flags.qualite});
+      else actor.rollQualite(flags.qualite, options);
+    });
+  }
+
+  /**
+   * Report the result of a roll on the card that asked for it, each time the roll is sent or changed.
+   * Only the active GM updates the card.
+   * @param {ChatMessage} message     Message of the roll.
+   */
+  static async onRollMessage(message) {
+    const flags = message.getFlag("donjons-et-chatons", "roll");
+
+    if(!flags?.demande || !game.users.activeGM?.isSelf) return;
+
+    const actor = ChatMessage.getSpeakerActor(message.speaker);
+    const verdict = flags.seuil ? DCRoll.getSeuilVerdict(flags.seuil, flags.results) : null;
+    const resultat = {
+      actor:actor?.uuid ?? null,
+      name:message.speaker.alias,
+      message:message.id,
+      masque:message.blind || message.whisper.length > 0,
+      results:flags.results,
+      reussite:verdict?.reussite ?? null,
+    };
+
+    // The flags are read once the previous results are written, so that none of them is lost.
+    return queueUpdate(flags.demande, async () => {
+      const demande = game.messages.get(flags.demande);
+      const data = foundry.utils.deepClone(demande?.getFlag("donjons-et-chatons", "demande"));
+
+      if(!data) return;
+
+      data.resultats = data.resultats.filter(r => r.message !== message.id && (!r.actor || r.actor !== resultat.actor)).concat(resultat);
+
+      await demande.update({
+        content:await this.renderCard(data),
+        flags:{
+          "donjons-et-chatons":{
+            demande:data
+          }
+        },
+      });
+    });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,225 @@
+import DCRoll from "./roll.js";
+import { queueUpdate } from "../helpers/queue.mjs";
+
+/**
+ * Chat card of a group roll: several chatons roll for the same action,
+ * and their successes are combined according to a rule before being compared to the seuil.
+ */
+export default class DCGroupe {
+
+  /**
+   * The HTML template path used to render the card to the chat log
+   * @type {string}
+   */
+  static CHAT_TEMPLATE = "systems/donjons-et-chatons/templates/msg/groupe.html";
+
+  /**
+   * Ask the action, the rule, the seuil and the chatons of the group roll, then send the card.
+   * @returns {Promise<ChatMessage|null>}
+   */
+  static async dialog() {
+    const content = await renderTemplate('systems/donjons-et-chatons/templates/dialog/groupe.html', {
+      actors:game.dc.DCDemande.getActors(),
+    });
+
+    return new Promise(resolve => {
+      new Dialog({
+        title:game.i18n.localize("DC.GROUPE.Label"),
+        content:content,
+        buttons:{
+          one:{
+            icon:'<i class="fas fa-check"></i>',
+            label:game.i18n.localize("DC.DEMANDE.Envoyer"),
+            callback:html => resolve(this.create({
+              label:html.find('input.action').val(),
+              regle:html.find('select.regle').val(),
+              seuil:parseInt(html.find('select.seuil').val()) || 0,
+              actors:html.find('input.actor:checked').map((i, el) => $(el).data('uuid')).get(),
+            }))
+          },
+          two:{
+            icon:'<i class="fas fa-times"></i>',
+            label:game.i18n.localize("DC.ROLL.ASK.Cancel"),
+            callback:() => resolve(null)
+          }
+        },
+        default:"one",
+        close:() => resolve(null),
+      }, {classes:["dcaskroll"]}).render(true);
+    });
+  }
+
+  /**
+   * Send the card of a group roll.
+   * @param {object} data
+   * @param {string} [data.label]     Action of the group.
+   * @param {string} [data.regle]     How the successes are combined, one of CONFIG.DC.groupe.
+   * @param {number} [data.seuil]     Seuil de difficulté.
+   * @param {string[]} [data.actors]  Uuids of the chatons of the group. Any chaton can join if empty.
+   * @returns {Promise<ChatMessage>}
+   */
+  static async create({label='', regle='somme', seuil=0, actors=[]}={}) {
+    const flags = {
+      label:label || game.i18n.localize("DC.GROUPE.Label"),
+      regle:CONFIG.DC.groupe[regle] ? regle : 'somme',
+      seuil:seuil,
+      limite:actors.length > 0,
+      participants:actors.map(uuid => fromUuidSync(uuid)).filter(a => a).map(a => ({
+        uuid:a.uuid,
+        name:a.name,
+        label:null,
+        message:null,
+        results:null,
+        dices:[],
+      })),
+    };
+
+    return ChatMessage.create({
+      user:game.user.id,
+      speaker:ChatMessage.getSpeaker(),
+      content:await this.renderCard(flags),
+      flags:{
+        "donjons-et-chatons":{
+          groupe:flags
+        }
+      },
+    });
+  }
+
+  /**
+   * Combine the successes of the chatons who rolled.
+   * @param {object} flags
+   * @returns {number}
+   */
+  static getTotal(flags) {
+    const results = flags.participants.filter(p => p.message).map(p => p.results);
+
+    if(!results.length) return 0;
+
+    switch(flags.regle) {
+      case 'meilleur':
+        return Math.max(...results);
+
+      default:
+        return results.reduce((a, b) => a+b, 0);
+    }
+  }
+
+  /**
+   * Render the card from the data stored in the message flags.
+   * @param {object} flags
+   * @returns {Promise<string>}
+   */
+  static async renderCard(flags) {
+    const total = this.getTotal(flags);
+    const complet = flags.participants.length > 0 && (!flags.limite || flags.participants.every(p => p.message));
+
+    // A private or blind participation would be given away by the total and the verdict.
+    const masque = flags.participants.some(p => p.message && p.masque);
+
+    return renderTemplate(this.CHAT_TEMPLATE, {
+      label:flags.label,
+      regle:CONFIG.DC.groupe[flags.regle],
+      participants:flags.participants,
+      total:masque ? '?' : total,
+      seuil:flags.seuil && complet && !masque ? DCRoll.getSeuilVerdict(flags.seuil, total) : null,
+      attente:flags.seuil && (!complet || masque) ? DCRoll.getSeuilVerdict(flags.seuil, total) : null,
+    });
+  }
+
+  /**
+   * Chatons of the user who can still roll for the group.
+   * @param {object} flags
+   * @returns {Actor[]}
+   */
+  static getRollers(flags) {
+    const participants = flags.participants.map(p => fromUuidSync(p.uuid));
+    let candidates = participants.filter((a, i) => !flags.participants[i].message);
+
+    // Anyone can join the group when it isn't limited to some chatons.
+    if(!flags.limite) {
+      const controlled = canvas.tokens?.controlled.map(t => t.actor) ?? [];
+      const owned = game.user.isGM ? [] : game.actors.filter(a => a.type === 'chaton');
+
+      candidates = candidates.concat(controlled, owned).filter(a => !participants.includes(a));
+    }
+
+    return candidates.filter((a, i, list) => a?.isOwner && a.system.qualites && list.indexOf(a) === i);
+  }
+
+  /**
+   * Handle the button of the card rolling for the group.
+   * @param {ChatMessage} message
+   * @param {jQuery} html
+   */
+  static activateCard(message, html) {
+    const flags = message.getFlag("donjons-et-chatons", "groupe");
+
+    if(!this.getRollers(flags).length) {
+      html.find('.dc-groupe-roll').remove();
+      return;
+    }
+
+    html.find('.dc-groupe-roll button').click(async ev => {
+      ev.preventDefault();
+      const rollers = this.getRollers(flags);
+      const actor = rollers.find(a => canvas.tokens?.controlled.some(t => t.actor === a)) ?? rollers[0];
+      const jet = actor ? await DCRoll.askJet(actor, game.i18n.format("DC.GROUPE.Participer", {name:actor.name, label:flags.label})) : null;
+      const options = {groupe:message.id};
+
+      if(!jet) return;
+
+      if(jet.talent) actor.rollTalent(jet.talent, options);
+      else actor.rollQualite(jet.qualite, options);
+    });
+  }
+
+  /**
+   * Report the result of a roll on the card of the group, each time the roll is sent or changed.
+   * Only the active GM updates the card.
+   * @param {ChatMessage} message     Message of the roll.
+   */
+  static async onRollMessage(message) {
+    const flags = message.getFlag("donjons-et-chatons", "roll");
+
+    if(!flags?.groupe || !game.users.activeGM?.isSelf) return;
+
+    const actor = ChatMessage.getSpeakerActor(message.speaker);
+
+    // The flags are read once the previous participants are written, so that none of them is lost.
+    return queueUpdate(flags.groupe, async () => {
+      const groupe = game.messages.get(flags.groupe);
+      const data = foundry.utils.deepClone(groupe?.getFlag("donjons-et-chatons", "groupe"));
+
+      if(!data) return;
+
+      let participant = data.participants.find(p => p.message === message.id || (actor && p.uuid === actor.uuid));
+
+      if(!participant) {
+        participant = {uuid:actor?.uuid ?? null, name:message.speaker.alias};
+        data.participants.push(participant);
+      }
+
+      Object.assign(participant, {
+        label:flags.label,
+        message:message.id,
+        masque:message.blind || message.whisper.length > 0,
+        results:flags.results,
+        dices:flags.dices.map(d => ({
+          result:d.result,
+          active:d.active,
+          success:d.active && d.result <= flags.difficulte,
+        })),
+      });
+
+      await groupe.update({
+        content:await this.renderCard(data),
+        flags:{
+          "donjons-et-chatons":{
+            groupe:data
+          }
+        },
+      });
+    });
+  }
+}
\ No newline at end of file
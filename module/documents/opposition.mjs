@@ -0,0 +1,179 @@
+import DCRoll from "./roll.js";
+import { queueUpdate } from "../helpers/queue.mjs";
+
+/**
+ * Chat card of an opposed roll between two actors.
+ * Each side rolls on its own, and the active GM reports both results on the card to compare them.
+ */
+export default class DCOpposition {
+
+  /**
+   * The HTML template path used to render the card to the chat log
+   * @type {string}
+   */
+  static CHAT_TEMPLATE = "systems/donjons-et-chatons/templates/msg/opposition.html";
+
+  /**
+   * Actor of the token targeted by the user, to oppose a roll of the actor.
+   * @param {Actor} actor
+   * @returns {Actor|null}
+   */
+  static getCible(actor) {
+    if(game.user.targets.size !== 1) return null;
+
+    const cible = Array.from(game.user.targets)[0].actor;
+
+    return cible?.system.qualites && cible !== actor ? cible : null;
+  }
+
+  /**
+   * Send the card of an opposed roll, before the actor starting it rolls.
+   * @param {Actor} attaquant     Actor starting the opposed roll.
+   * @param {Actor} defenseur     Actor opposed to it.
+   * @param {string} label        Label of the roll of the attaquant.
+   * @returns {Promise<ChatMessage>}
+   */
+  static async create(attaquant, defenseur, label) {
+    const side = actor => ({
+      uuid:actor.uuid,
+      name:actor.name,
+      label:null,
+      message:null,
+      results:null,
+      dices:[],
+    });
+    const flags = {
+      attaquant:{...side(attaquant), label:label},
+      defenseur:side(defenseur),
+    };
+
+    return ChatMessage.create({
+      user:game.user.id,
+      speaker:ChatMessage.getSpeaker({actor:attaquant}),
+      content:await this.renderCard(flags),
+      flags:{
+        "donjons-et-chatons":{
+          opposition:flags
+        }
+      },
+    });
+  }
+
+  /**
+   * Compare the successes of both sides, once both have rolled.
+   * On a tie, the défenseur wins: the situation doesn't change.
+   * @param {object} flags
+   * @returns {object|null}
+   */
+  static getVerdict(flags) {
+    const {attaquant, defenseur} = flags;
+
+    if(attaquant.results === null || defenseur.results === null) return null;
+
+    // A private or blind roll would be given away by the verdict.
+    if(attaquant.masque || defenseur.masque) return {masque:true};
+
+    const marge = attaquant.results-defenseur.results;
+
+    return {
+      vainqueur:marge > 0 ? attaquant.name : defenseur.name,
+      marge:Math.abs(marge),
+      egalite:marge === 0,
+    };
+  }
+
+  /**
+   * Render the card from the data stored in the message flags.
+   * @param {object} flags
+   * @returns {Promise<string>}
+   */
+  static async renderCard(flags) {
+    return renderTemplate(this.CHAT_TEMPLATE, {
+      attaquant:flags.attaquant,
+      defenseur:flags.defenseur,
+      cotes:[{...flags.attaquant, cote:'attaquant'}, {...flags.defenseur, cote:'defenseur'}],
+      verdict:this.getVerdict(flags),
+    });
+  }
+
+  /**
+   * Handle the buttons of the card: the défenseur answers, and each side can reroll.
+   * @param {ChatMessage} message
+   * @param {jQuery} html
+   */
+  static activateCard(message, html) {
+    const flags = message.getFlag("donjons-et-chatons", "opposition");
+    const defenseur = fromUuidSync(flags.defenseur.uuid);
+
+    if(flags.defenseur.message || !defenseur?.isOwner) html.find('.dc-opposition-repondre').remove();
+    else {
+      html.find('.dc-opposition-repondre button').click(async ev => {
+        ev.preventDefault();
+        const jet = await DCRoll.askJet(defenseur, game.i18n.format("DC.OPPOSITION.Repondre", {name:defenseur.name}));
+        const options = {opposition:{message:message.id, cote:'defenseur'}};
+
+        if(!jet) return;
+
+        if(jet.talent) defenseur.rollTalent(jet.talent, options);
+        else defenseur.rollQualite(jet.qualite, options);
+      });
+    }
+
+    html.find('.dc-opposition-relance').each((i, el) => {
+      const button = $(el);
+      const roll = game.messages.get(flags[button.data('cote')]?.message);
+
+      if(!roll || !game.dc.DCRelance.canRelance(roll)) {
+        button.remove();
+        return;
+      }
+
+      button.click(ev => {
+        ev.preventDefault();
+        new game.dc.DCRelance(roll).render(true);
+      });
+    });
+  }
+
+  /**
+   * Report the result of a roll on the card of the opposed roll, each time the roll is sent or changed.
+   * Only the active GM updates the card.
+   * @param {ChatMessage} message     Message of the roll.
+   */
+  static async onRollMessage(message) {
+    const flags = message.getFlag("donjons-et-chatons", "roll");
+
+    if(!flags?.opposition || !game.users.activeGM?.isSelf) return;
+
+    const {cote} = flags.opposition;
+
+    // The flags are read once the other side is written, so that neither roll is lost.
+    return queueUpdate(flags.opposition.message, async () => {
+      const opposition = game.messages.get(flags.opposition.message);
+      const data = foundry.utils.deepClone(opposition?.getFlag("donjons-et-chatons", "opposition"));
+
+      if(!data?.[cote]) return;
+
+      Object.assign(data[cote], {
+        label:flags.label,
+        message:message.id,
+        masque:message.blind || message.whisper.length > 0,
+        results:flags.results,
+        dices:flags.dices.map(d => ({
+          result:d.result,
+          active:d.active,
+          success:d.active && d.result <= flags.difficulte,
+        })),
+      });
+
+      await opposition.update({
+        content:await this.renderCard(data),
+        flags:{
+          "donjons-et-chatons":{
+            opposition:data
+          }
+        },
+      });
+    });
+  }
+}
\ No newline at end of file
@@ -1,3 +1,5 @@
+import { DCAmitieLog } from "../sheets/amitie-log.mjs";
+
 /**
  * An interface and API for constructing and evaluating dice rolls.
  * The basic structure for a dice roll is a string formula and an object of data against which to parse it.
@@ -31,6 +33,13 @@ export default class DCRoll {
       this._roll = null;
       this._type = null;
       this._label = label;
+      this._miagie = null;
+      this._seuil = 0;
+      this._sources = [];
+      this._amitie = [];
+      this._demande = null;
+      this._opposition = null;
+      this._groupe = null;
   }
   /**
    * The HTML template path used to render a complete Roll object to the chat log
@@ -86,6 +95,62 @@ export default class DCRoll {
     this._difficulte = value;
   }
 
+  get seuil() {
+    return this._seuil;
+  }
+
+  set seuil(value) {
+    this._seuil = value;
+  }
+
+  get sources() {
+    return this._sources;
+  }
+
+  set sources(value) {
+    this._sources = value;
+  }
+
+  get amitie() {
+    return this._amitie;
+  }
+
+  set amitie(value) {
+    this._amitie = value;
+  }
+
+  get demande() {
+    return this._demande;
+  }
+
+  set demande(value) {
+    this._demande = value;
+  }
+
+  get opposition() {
+    return this._opposition;
+  }
+
+  set opposition(value) {
+    this._opposition = value;
+  }
+
+  get groupe() {
+    return this._groupe;
+  }
+
+  set groupe(value) {
+    this._groupe = value;
+  }
+
+  get miagie() {
+    return this._miagie;
+  }
+
+  set miagie(value) {
+    this._miagie = value;
+  }
+
   get type() {
     return this._type;
   }
@@ -104,8 +169,14 @@ export default class DCRoll {
     let success = 0;
 
     for(let d of listDices) {
-        if(d.active && d.result <= difficulte) success += 1;
-        allDice.push(d)
+        const isSuccess = d.active && d.result <= difficulte;
+
+        if(isSuccess) success += 1;
+        allDice.push({
+          result:d.result,
+          active:d.active,
+          success:isSuccess,
+        });
     }
 
     this.dices = allDice;
@@ -116,54 +187,465 @@ export default class DCRoll {
 
   async sendMsg() {
       const chatRollMode = game.settings.get("core", "rollMode");
-      let main = {};
-      main.label = this.label;
-      main.tooltip = await this.roll.getTooltip();
-      main.total = this.results;
+      const flags = {
+        label:this.label,
+        formula:this.roll.formula,
+        difficulte:this.difficulte,
+        dices:this.dices,
+        results:this.results,
+        seuil:this.seuil,
+        sources:this.sources.map(s => ({label:s.label, type:s.type})),
+        amitie:this.amitie,
+        relances:0,
+        historique:[],
+      };
+
+      if(this.demande) flags.demande = this.demande;
+      if(this.opposition) flags.opposition = this.opposition;
+      if(this.groupe) flags.groupe = this.groupe;
+
+      if(this.miagie) {
+        flags.miagie = {
+          id:this.miagie.id,
+          name:this.miagie.name,
+          succes:this.miagie.system.succes,
+          soin:this.miagie.system.soin,
+        };
+
+        await this.constructor.updateAccident(flags);
+      }
 
       let chatData = {
           user:game.user.id,
-          speaker: {
-              actor: this.actor?.id ?? null,
-              token: this.actor?.token ?? null,
-              alias: this.actor?.name ?? null,
-              scene: this.actor?.token?.parent?.id ?? null
-          },
-          content:await renderTemplate(this.constructor.CHAT_TEMPLATE, main),
+          speaker: ChatMessage.getSpeaker({actor:this.actor}),
+          content:await this.constructor.renderCard(flags),
           flags:{
             "donjons-et-chatons":{
-              roll:{
-                difficulte:this.difficulte,
-                dices:this.dices,
-                results:this.results,
-              }
+              roll:flags
             }
           },
           sound: CONFIG.sounds.dice,
-          rolls:this.roll,
+          rolls:[this.roll],
           rollMode:chatRollMode,
       };
 
       ChatMessage.applyRollMode(chatData, chatRollMode);
-      const msg = await ChatMessage.create(chatData);
-      if(game.dice3d) {
-        game.dice3d.waitFor3DAnimationByMessageID(msg.id).then(()=> this.postRoll(msg));
-      } else {
-        this.postRoll(msg);
+      return ChatMessage.create(chatData);
+  }
+
+  /**
+   * Ask the sources of Avantage and Désavantage and the seuil de difficulté.
+   * @param {string} label                Label shown in the dialog.
+   * @param {object} [options]
+   * @param {object[]} [options.sources]  Sources of Avantage and Désavantage that can be toggled.
+   * @param {number} [options.seuil]      Seuil de difficulté selected by default.
+   * @param {boolean} [options.seuils]    Whether the seuil can be chosen.
+   * @param {string} [options.cible]      Name of the targeted actor the roll can be opposed to.
+   * @param {number} [options.difficulte] Value of the qualité rolled, to show the chances of reaching each seuil.
+   * @returns {Promise<object|null>}      The sources, the seuil and whether the roll is opposed, null if the dialog is cancelled.
+   */
+  static async ask(label, options={}) {
+    const sources = foundry.utils.deepClone(options.sources ?? []);
+    const dataTemplate = {
+      label:label,
+      sources:sources,
+      seuils: options.seuils ?? true,
+      seuil: options.seuil || '',
+      cible: options.cible ?? null,
+      probabilites: options.difficulte !== undefined,
+    };
+    const dialogTemplate = await renderTemplate("systems/donjons-et-chatons/templates/dialog/ask.html", dataTemplate);
+    const dialogOptions = {
+      classes: ["dcaskroll"],
+    };
+    const getSources = html => {
+      for(let s of sources) {
+        if(s.caractere) {
+          const mode = html.find(`select[data-caractere="${s.id}"]`).val();
+
+          s.active = mode === 'positif';
+          s.negatif = mode === 'negatif';
+        } else s.active = html.find(`input[data-source="${s.id}"]`).is(':checked');
       }
 
+      return sources;
+    };
+
+    return new Promise(resolve => {
+      let d = new Dialog({
+        title: `${game.i18n.localize(`DC.ROLL.ASK.Type`)}`,
+        content:dialogTemplate,
+        buttons: {
+          one: {
+          icon: '<i class="fas fa-check"></i>',
+          label: `${game.i18n.localize(`DC.ROLL.ASK.Roll`)}`,
+          callback: (html) => resolve({
+              sources:getSources(html),
+              seuil:dataTemplate.seuils ? parseInt(html.find('select.seuil').val()) || 0 : options.seuil || 0,
+              opposition:html.find('input.opposition').is(':checked'),
+            })
+          },
+          two: {
+          icon: '<i class="fas fa-times"></i>',
+          label: `${game.i18n.localize(`DC.ROLL.ASK.Cancel`)}`,
+          callback: () => resolve(null)
+          }
+        },
+        default: "two",
+        render: (html) => {
+          const update = () => {
+            const dices = this.getDices(getSources(html)).dices;
+
+            html.find('.dices').text(`${dices}D6`);
+
+            if(options.difficulte === undefined) return;
+
+            const seuil = parseInt(html.find('select.seuil').val()) || 0;
+
+            html.find('ul.probabilites').html(this.getProbabilites(dices, options.difficulte).map(p => {
+              return `<li class="${p.seuil === seuil ? 'selected' : ''}"><span>${game.i18n.localize(p.label)} ${p.seuil}</span><span>${p.value}%</span></li>`;
+            }).join(''));
+          };
+
+          html.find('input[data-source], select[data-caractere], select.seuil').change(update);
+          update();
+        },
+        close: () => resolve(null),
+        dialogOptions
+        },
+        dialogOptions);
+      d.render(true);
+    });
+  }
+
+  /**
+   * Ask which qualité or talent an actor rolls, for the rolls started from a chat card.
+   * @param {Actor} actor
+   * @param {string} label              Question shown in the dialog.
+   * @returns {Promise<object|null>}    The qualité or the talent to roll.
+   */
+  static async askJet(actor, label) {
+    const qualites = {};
+    const talents = {};
+
+    for(let [key, qualite] of Object.entries(CONFIG.DC.qualites)) qualites[`qualite.${key}`] = qualite;
+
+    if(actor.system.talents) {
+      for(let key of CONFIG.DC.talents.filter(t => actor.system.talents[t]?.qualite)) talents[`talent.${key}`] = CONFIG.DC.talentsLabels[key];
+    }
+
+    const content = await renderTemplate('systems/donjons-et-chatons/templates/dialog/jet.html', {
+      label:label,
+      qualites:qualites,
+      talents:talents,
+    });
+
+    return new Promise(resolve => {
+      new Dialog({
+        title:actor.name,
+        content:content,
+        buttons:{
+          one:{
+            icon:'<i class="fas fa-check"></i>',
+            label:game.i18n.localize("DC.ROLL.ASK.Roll"),
+            callback:html => {
+              const [type, key] = html.find('select.jet').val().split('.');
+
+              resolve({[type]:key});
+            }
+          },
+          two:{
+            icon:'<i class="fas fa-times"></i>',
+            label:game.i18n.localize("DC.ROLL.ASK.Cancel"),
+            callback:() => resolve(null)
+          }
+        },
+        default:"one",
+        close:() => resolve(null),
+      }, {classes:["dcaskroll"]}).render(true);
+    });
+  }
+
+  /**
+   * Options of a roll started with the modifier key of a fast roll held, which skip the dialog.
+   * @returns {object}    Options of DCActor#rollQualite, empty without modifier key.
+   */
+  static getRapide() {
+    for(let [setting, type] of Object.entries(CONFIG.DC.rapide)) {
+      const key = game.settings.get("donjons-et-chatons", setting);
+
+      if(key && game.keyboard.isModifierActive(key)) return {dialog:false, type:type};
+    }
+
+    return {};
+  }
+
+  /**
+   * Tooltip of the roll icons, listing the modifier keys of the fast rolls.
+   * @returns {string}
+   */
+  static getRapideHint() {
+    return Object.keys(CONFIG.DC.rapide).map(setting => {
+      const key = game.settings.get("donjons-et-chatons", setting);
+
+      return key ? game.i18n.format(`DC.ROLL.RAPIDE.${setting}`, {key:game.i18n.localize(`DC.SETTINGS.${key}`)}) : null;
+    }).filter(h => h).join('\n');
+  }
+
+  /**
+   * Chances of reaching each seuil de difficulté, rerolls aside.
+   * Each dice is a success when its result is at most the value of the qualité.
+   * @param {number} dices        Number of dices rolled.
+   * @param {number} difficulte   Value of the qualité rolled.
+   * @returns {object[]}          Seuil, label and chances in percent.
+   */
+  static getProbabilites(dices, difficulte) {
+    const p = Math.min(Math.max(difficulte, 0), 6)/6;
+    const binomial = (n, k) => {
+      let result = 1;
+
+      for(let i = 1;i <= k;i++) result = result*(n-k+i)/i;
+
+      return result;
+    };
+    const exactly = k => binomial(dices, k)*Math.pow(p, k)*Math.pow(1-p, dices-k);
+
+    return Object.entries(CONFIG.DC.seuils).map(([seuil, label]) => {
+      let chances = 0;
+
+      for(let k = Number(seuil);k <= dices;k++) chances += exactly(k);
+
+      return {
+        seuil:Number(seuil),
+        label:label,
+        value:Math.round(chances*100),
+      };
+    });
+  }
+
+  /**
+   * Whether the current user sees the seuil de difficulté of a message, according to the house rules.
+   * Under "lanceur", only the author of a roll sees its seuil, the cards of the Conteuse keep theirs.
+   * @param {ChatMessage} [message]   Without message, whether the user can choose a seuil when rolling.
+   * @returns {boolean}
+   */
+  static canSeeSeuil(message) {
+    if(game.user.isGM) return true;
+
+    switch(game.settings.get("donjons-et-chatons", "seuils")) {
+      case 'conteuse':
+        return false;
+
+      case 'lanceur':
+        return !message || (message.isAuthor && !!message.getFlag("donjons-et-chatons", "roll"));
+    }
+
+    return true;
+  }
+
+  /**
+   * Number of dices to roll from the active sources of Avantage and Désavantage.
+   * Avantages and Désavantages cancel each other out, what remains sets the dices.
+   * @param {object[]} sources
+   * @returns {object}    The resulting type ('', 'avantage' or 'desavantage') and number of dices.
+   */
+  static getDices(sources) {
+    let net = 0;
+
+    for(let s of sources) {
+      if(!s.active) continue;
+      if(s.type === 'avantage') net += 1;
+      else if(s.type === 'desavantage') net -= 1;
+    }
+
+    const type = net > 0 ? 'avantage' : net < 0 ? 'desavantage' : '';
+
+    return {
+      type:type,
+      dices:CONFIG.DC.des[type || 'standard'],
+    };
   }
 
-  async postRoll(msg) {
-    let r = new game.dc.DCRelance(this.label, this.actor, this.difficulte, this.type, msg.id, this.roll);
-    const rolls = this.roll.dice[0].getTooltipData().rolls;
-    const dices = [];
+  /**
+   * Render the chat card of a roll from the data stored in the message flags.
+   * The card is rendered again each time a dice is rerolled.
+   * @param {object} flags    Roll data stored in the message flags.
+   * @returns {Promise<string>}
+   */
+  static async renderCard(flags) {
+    const isSuccess = result => result <= flags.difficulte;
+    const main = {
+      label:flags.label,
+      formula:flags.formula,
+      sources:flags.sources ?? [],
+      amitie:flags.amitie ?? [],
+      total:flags.results,
+      dices:flags.dices.map(d => {
+        return {
+          result:d.result,
+          active:d.active,
+          success:d.active && isSuccess(d.result),
+        };
+      }),
+      historique:(flags.historique ?? []).map(h => {
+        return {
+          user:h.user,
+          old:{result:h.old, success:isSuccess(h.old)},
+          new:{result:h.new, success:isSuccess(h.new)},
+        };
+      }),
+      aides:flags.aides ?? [],
+      accident:flags.accident,
+    };
+
+    this.prepareVerdict(flags, main);
+
+    return renderTemplate(this.CHAT_TEMPLATE, main);
+  }
+
+  /**
+   * Help a roll with a point of amitié of another chaton, run by the GM.
+   * The helper either adds a dice to the roll, or gives it one more reroll.
+   * @param {object} data
+   * @param {string} data.message   Id of the message of the roll.
+   * @param {string} data.helper    Uuid of the chaton spending the point.
+   * @param {string} data.mode      'de' or 'relance'.
+   * @param {User} user             User asking for the help.
+   * @returns {Promise<boolean>}    Whether the help was given.
+   */
+  static async onAider({message, helper, mode}, user) {
+    const msg = game.messages.get(message);
+    const actor = await fromUuid(helper);
+    const flags = foundry.utils.deepClone(msg?.getFlag("donjons-et-chatons", "roll"));
+
+    if(!flags || !actor?.testUserPermission(user, "OWNER")) return false;
+    if(actor.system.amitie.value < 1) return false;
 
-    for(let i = 0;i < rolls.length;i++) {
-      dices.push(`<li class="roll ${rolls[i].classes}" data-num="${i}">${rolls[i].result}</li>`);
+    const aide = {
+      helper:actor.name,
+      mode:mode,
+    };
+    const update = {};
+
+    if(mode === 'de') {
+      const r = new Roll(`1D6`);
+      await r.evaluate();
+
+      const isSuccess = r.total <= flags.difficulte;
+
+      flags.dices.push({
+        result:r.total,
+        active:true,
+        success:isSuccess,
+      });
+      flags.results += Number(isSuccess);
+      aide.result = r.total;
+      update.rolls = msg.rolls.concat(r).map(roll => JSON.stringify(roll));
+
+      if(game.dice3d) {
+        const whisper = msg.whisper.length ? msg.whisper : null;
+
+        await game.dice3d.showForRoll(r, user, true, whisper, msg.blind);
+      }
     }
-    await r.setDices(dices);
-    r.render(true);
+
+    flags.aides = (flags.aides ?? []).concat(aide);
+    await this.updateAccident(flags);
+    update.content = await this.renderCard(flags);
+    update.flags = {
+      "donjons-et-chatons":{
+        roll:flags
+      }
+    };
+
+    await actor.update({'system.amitie.value':actor.system.amitie.value-1});
+    await msg.update(update);
+    await DCAmitieLog.add({
+      type:'aide',
+      de:actor.name,
+      a:msg.speaker.alias,
+      detail:game.i18n.localize(`DC.AMITIE.MODES.${mode}`),
+      user:user.name,
+    });
+
+    return true;
+  }
+
+  /**
+   * Add the verdicts of a roll to the chat template data, from the message flags.
+   * Used when the roll is sent and each time it is rerolled.
+   * @param {object} flags    Roll data stored in the message flags.
+   * @param {object} main     Data used by the chat template.
+   */
+  static prepareVerdict(flags, main) {
+    if(flags.miagie) main.miagie = this.getMiagieVerdict(flags.miagie, flags.results);
+    if(flags.seuil) main.seuil = this.getSeuilVerdict(flags.seuil, flags.results);
+  }
+
+  /**
+   * Compare the number of successes to a seuil de difficulté.
+   * @param {number} seuil      Seuil chosen when rolling.
+   * @param {number} results    Number of successes.
+   * @returns {object}          Data used by the chat template.
+   */
+  static getSeuilVerdict(seuil, results) {
+    return {
+      value:seuil,
+      label:CONFIG.DC.seuils[seuil] ?? '',
+      reussite:results >= seuil,
+      marge:Math.max(results - seuil, 0),
+    };
+  }
+
+  /**
+   * Compare the number of successes to the "succès requis" of a miagie.
+   * @param {object} miagie     Miagie data stored in the message flags.
+   * @param {number} results    Number of successes.
+   * @returns {object}          Data used by the chat template.
+   */
+  static getMiagieVerdict(miagie, results) {
+    return {
+      name:miagie.name,
+      succes:miagie.succes,
+      soin:miagie.soin ?? 0,
+      reussite:results >= miagie.succes,
+    };
+  }
+
+  /**
+   * Draw or clear the "Accident miagique" of a miagie, depending on its current number of successes.
+   * Called when the roll is sent and each time its results change. An accident already applied is kept.
+   * @param {object} flags    Roll data stored in the message flags, updated in place.
+   * @returns {Promise}
+   */
+  static async updateAccident(flags) {
+    if(!flags.miagie || flags.accident?.applique) return;
+
+    const reussite = this.getMiagieVerdict(flags.miagie, flags.results).reussite;
+
+    if(reussite) flags.accident = null;
+    else if(!flags.accident && game.settings.get("donjons-et-chatons", "accidentAuto")) flags.accident = await this.drawAccident();
+  }
+
+  /**
+   * Draw a result from the "Accident miagique" table of the system compendium.
+   * @returns {Promise<object|null>}    Data stored in the message flags.
+   */
+  static async drawAccident() {
+    const config = CONFIG.DC.accident;
+    const table = await game.packs.get(config.pack)?.getDocument(config.table);
+
+    if(!table) return null;
+
+    const draw = await table.roll();
+    const result = draw.results[0];
+
+    return {
+      jet:draw.roll.total,
+      text:result.description ?? result.text,
+      effet:config.effets[result.id] ?? '',
+      applique:false,
+    };
   }
 
   /*async editRoll(num, value) {
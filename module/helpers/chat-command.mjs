@@ -0,0 +1,105 @@
+/**
+ * Register the "/dc" chat command, rolling for the speaker without opening the sheet:
+ * /dc malin +av seuil 2
+ * /dc talent:griffer -dv
+ * The roll goes through the actor like the rolls of the sheet, without the roll dialog.
+ */
+export const registerChatCommand = function() {
+  Hooks.on("chatMessage", (log, message) => {
+    const [commande, ...termes] = message.trim().split(/\s+/);
+
+    if(commande.toLowerCase() !== '/dc') return;
+
+    runCommand(termes);
+    return false;
+  });
+};
+
+/**
+ * Read the terms of the command.
+ * @param {string[]} termes
+ * @param {Actor} actor   Actor rolling, which must have a qualité for a talent rolled without one.
+ * @returns {object}      The qualité, talent, seuil and type of the roll, or the error to show.
+ */
+function parseCommand(termes, actor) {
+  const data = {qualite:'', talent:'', seuil:0, type:undefined};
+  const find = (keys, value) => keys.find(k => k.toLowerCase() === value.toLowerCase());
+
+  for(let i = 0;i < termes.length;i++) {
+    const terme = termes[i];
+    const [key, value] = terme.split(':');
+
+    switch(key.toLowerCase()) {
+      case '+av':
+        data.type = 'avantage';
+        break;
+
+      case '-dv':
+        data.type = 'desavantage';
+        break;
+
+      case 'talent':
+        data.talent = find(CONFIG.DC.talents, value ?? '');
+
+        if(!data.talent) return {erreur:"DC.COMMANDE.Talent", terme:value ?? ''};
+        break;
+
+      case 'seuil': {
+        const seuil = value ?? termes[++i] ?? '';
+
+        data.seuil = parseInt(seuil);
+
+        if(!(data.seuil in CONFIG.DC.seuils)) return {erreur:"DC.COMMANDE.Seuil", terme:seuil};
+        break;
+      }
+
+      default:
+        data.qualite = find(Object.keys(CONFIG.DC.qualites), terme);
+
+        if(!data.qualite) return {erreur:"DC.COMMANDE.Inconnu", terme:terme};
+    }
+  }
+
+  if(!data.qualite && !data.talent) return {erreur:"DC.COMMANDE.SansJet"};
+
+  if(data.talent && !data.qualite && !actor.system.talents?.[data.talent]?.qualite) {
+    return {erreur:"DC.COMMANDE.SansQualite", terme:game.i18n.localize(CONFIG.DC.talentsLabels[data.talent])};
+  }
+
+  return data;
+}
+
+/**
+ * Roll from the command with the actor of the speaker, or whisper why it can't.
+ * @param {string[]} termes
+ * @returns {Promise}
+ */
+async function runCommand(termes) {
+  const actor = ChatMessage.getSpeakerActor(ChatMessage.getSpeaker()) ?? game.user.character;
+
+  if(!actor?.isOwner || !actor.system.qualites) return whisperError(game.i18n.localize("DC.COMMANDE.SansActeur"));
+
+  const data = parseCommand(termes, actor);
+
+  if(data.erreur) return whisperError(game.i18n.format(data.erreur, {terme:Handlebars.escapeExpression(data.terme), name:actor.name}));
+
+  const options = {dialog:false, seuil:data.seuil, type:data.type};
+
+  if(data.talent) return actor.rollTalent(data.talent, {...options, qualite:data.qualite});
+
+  return actor.rollQualite(data.qualite, options);
+}
+
+/**
+ * Whisper an error of the command to the user, with a reminder of its syntax.
+ * @param {string} erreur
+ * @returns {Promise<ChatMessage>}
+ */
+async function whisperError(erreur) {
+  return ChatMessage.create({
+    user:game.user.id,
+    speaker:{alias:game.system.title},
+    whisper:[game.user.id],
+    content:`<div class="dcsenditem dc-commande"><p>${erreur}</p><p>${game.i18n.localize("DC.COMMANDE.Aide")}</p></div>`,
+  });
+}
\ No newline at end of file
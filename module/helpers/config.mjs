@@ -31,8 +31,156 @@ export const DC = {};
    "trouverUneInformation"
  ];
 
+/**
+ * Label of each talent, and the talents hidden by the Conteuse.
+ * Filled from the "talents" setting, which can also add talents to the list above.
+ * @type {Object}
+ */
+DC.talentsLabels = {};
+DC.talentsMasques = [];
+
+ DC.seuils = {
+  1:"DC.SEUILS.Facile",
+  2:"DC.SEUILS.Moyen",
+  3:"DC.SEUILS.Difficile",
+  4:"DC.SEUILS.Legendaire",
+ };
+
+/**
+ * Number of dices that can be rerolled on each roll, by default.
+ * The Conteuse changes it in the house rules.
+ * @type {Number}
+ */
+ DC.relances = 1;
+
+/**
+ * Sources of Avantage and Désavantage offered when rolling.
+ * Each equipment of the actor is offered as a source of Avantage.
+ * @type {Object}
+ */
+ DC.sources = {
+  talent:'avantage',
+  caractere:'avantage',
+  equipement:'avantage',
+  circonstance:'avantage',
+  penalite:'desavantage',
+ };
+
+/**
+ * Number of dices rolled, depending on the Avantage or Désavantage that remains
+ * once they have cancelled each other out.
+ * @type {Object}
+ */
+ DC.des = {
+  standard:3,
+  avantage:4,
+  desavantage:2,
+ };
+
  DC.qualites = {
   'costaud':"DC.QUALITES.Costaud",
   'malin':"DC.QUALITES.Malin",
   'mignon':"DC.QUALITES.Mignon",
- }
\ No newline at end of file
+ }
+
+/**
+ * Highest value of a qualité.
+ * @type {Number}
+ */
+DC.qualiteMax = 5;
+
+/**
+ * Settings holding the modifier keys of the fast rolls, with the type of roll they start.
+ * @type {Object}
+ */
+DC.rapide = {
+  rapideStandard:'',
+  rapideAvantage:'avantage',
+  rapideDesavantage:'desavantage',
+};
+
+/**
+ * Types of roll a source of roll can start with, in the house rules.
+ * @type {Object}
+ */
+DC.types = {
+  '':"DC.ROLL.ASK.Standard",
+  avantage:"DC.ROLL.ASK.Avantage",
+  desavantage:"DC.ROLL.ASK.Desavantage",
+};
+
+/**
+ * Who sees the seuils de difficulté of the rolls, in the house rules.
+ * @type {Object}
+ */
+DC.visibilite = {
+  tous:"DC.SETTINGS.VISIBILITE.tous",
+  lanceur:"DC.SETTINGS.VISIBILITE.lanceur",
+  conteuse:"DC.SETTINGS.VISIBILITE.conteuse",
+};
+
+/**
+ * Camps of a conflict, in the order of the tracker.
+ * @type {Object}
+ */
+DC.camps = {
+  chatons:"DC.CONFLIT.CAMPS.chatons",
+  adversaires:"DC.CONFLIT.CAMPS.adversaires",
+};
+
+/**
+ * How the successes of a group roll are combined.
+ * @type {Object}
+ */
+DC.groupe = {
+  somme:"DC.GROUPE.Somme",
+  meilleur:"DC.GROUPE.Meilleur",
+};
+
+/**
+ * Rules followed by the creation wizard of a new chaton.
+ * @type {Object}
+ */
+DC.creation = {
+  qualites:{
+    total:6,
+    min:1,
+    max:3,
+  },
+  talents:3,
+  miagies:2,
+};
+
+/**
+ * Advancements bought with experience, with the setting holding their cost.
+ * @type {Object}
+ */
+DC.progression = {
+  qualite:'coutQualite',
+  talent:'coutTalent',
+  miagie:'coutMiagie',
+};
+
+/**
+ * The "Accident miagique" table drawn when a miagie fails.
+ * Results listed in "effets" have a mechanical consequence handled from the chat.
+ * @type {Object}
+ */
+DC.accident = {
+  pack:'donjons-et-chatons.accident-miagique',
+  table:'wwiSkAMhO4S27LYz',
+  effets:{
+    'OZrsJB6rMGmonL54':'relance',
+    'UDd3Ywy3MUpxwJ0U':'coeur',
+  }
+};
+
+/**
+ * Status applied to a chaton that has no cœur left.
+ * @type {Object}
+ */
+DC.horsDeCombat = {
+  id:'horsDeCombat',
+  name:'DC.HorsDeCombat',
+  img:'icons/svg/unconscious.svg',
+};
\ No newline at end of file
@@ -0,0 +1,104 @@
+import DCRoll from "../documents/roll.js";
+import DCDemande from "../documents/demande.mjs";
+
+/**
+ * Register the inline rolls of the journals, the descriptions and the chat:
+ * @DCRoll[malin|talent=observerEtFouiller|seuil=2]{Fouiller la pièce}
+ * The qualité comes first, then the options: talent, seuil and type ('avantage' or 'desavantage').
+ * The label between braces is optional.
+ */
+export const registerEnrichers = function() {
+  CONFIG.TextEditor.enrichers.push({
+    pattern:/@DCRoll\[([^\]]*)\](?:\{([^}]+)\})?/gi,
+    enricher:enrichRoll,
+  });
+
+  $(document).on('click', 'a.dc-inline-roll', onClickRoll);
+};
+
+/**
+ * Read the content of an inline roll.
+ * @param {string} content    What is between the brackets.
+ * @returns {object|null}     The qualité, talent, seuil and type of the roll, null if it isn't valid.
+ */
+function parseInlineRoll(content) {
+  const data = {qualite:'', talent:'', seuil:0, type:''};
+
+  for(let part of content.split('|').map(p => p.trim()).filter(p => p)) {
+    const [key, value] = part.includes('=') ? part.split('=').map(p => p.trim()) : ['qualite', part];
+
+    switch(key) {
+      case 'qualite':
+      case 'talent':
+      case 'type':
+        data[key] = value;
+        break;
+
+      case 'seuil':
+        data.seuil = parseInt(value) || 0;
+        break;
+
+      default:
+        return null;
+    }
+  }
+
+  if(data.qualite && !(data.qualite in CONFIG.DC.qualites)) return null;
+  if(data.talent && !CONFIG.DC.talents.includes(data.talent)) return null;
+  if(data.type && !(data.type in CONFIG.DC.types)) return null;
+  if(data.seuil && !(data.seuil in CONFIG.DC.seuils)) return null;
+  if(!data.qualite && !data.talent) return null;
+
+  return data;
+}
+
+/**
+ * Replace an inline roll by a link. An invalid inline roll is left as it is written.
+ * @param {RegExpMatchArray} match
+ * @returns {HTMLElement|null}
+ */
+function enrichRoll(match) {
+  const data = parseInlineRoll(match[1]);
+
+  if(!data) return null;
+
+  let label = match[2] ?? DCDemande.getLabel(data.qualite, data.talent);
+
+  if(!match[2] && data.seuil && DCRoll.canSeeSeuil()) label += `, ${game.i18n.localize(CONFIG.DC.seuils[data.seuil])} ${data.seuil}`;
+
+  const a = document.createElement('a');
+
+  a.classList.add('dc-inline-roll');
+  a.dataset.qualite = data.qualite;
+  a.dataset.talent = data.talent;
+  a.dataset.seuil = data.seuil;
+  a.dataset.type = data.type;
+  a.title = game.i18n.localize(game.user.isGM ? "DC.ENRICHER.Demander" : "DC.ENRICHER.Lancer");
+  a.innerHTML = '<i class="fa-solid fa-dice-d6"></i> ';
+  a.append(label);
+
+  return a;
+}
+
+/**
+ * Roll an inline roll with the selected or assigned chaton.
+ * The Conteuse asks the roll to the players with a card instead.
+ * @param {Event} event
+ * @returns {Promise}
+ */
+async function onClickRoll(event) {
+  event.preventDefault();
+  const {qualite, talent, seuil, type} = event.currentTarget.dataset;
+
+  if(game.user.isGM) return DCDemande.create({qualite:qualite || null, talent:talent || null, seuil:Number(seuil), type:type || undefined});
+
+  const actor = canvas.tokens?.controlled.find(t => t.actor?.type === 'chaton')?.actor ?? game.user.character;
+
+  if(!actor) return ui.notifications.warn(game.i18n.localize("DC.ENRICHER.SansChaton"));
+
+  const options = {seuil:Number(seuil), type:type || undefined, ...DCRoll.getRapide()};
+
+  if(talent) return actor.rollTalent(talent, {...options, qualite:qualite});
+
+  return actor.rollQualite(qualite, options);
+}
\ No newline at end of file
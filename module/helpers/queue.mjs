@@ -0,0 +1,25 @@
+/**
+ * Updates of the chat cards waiting for the previous ones, by id of the card.
+ * @type {Map<string, Promise>}
+ */
+const queues = new Map();
+
+/**
+ * Run the update of a chat card once the previous updates of the same card are done.
+ * The rolls answering a card at the same time would otherwise each write the flags they read,
+ * and the last one would erase the results of the others. The update must read the flags itself.
+ * @param {string} id           Id of the message of the card.
+ * @param {Function} update     Async function updating the card.
+ * @returns {Promise}
+ */
+export const queueUpdate = function(id, update) {
+  const previous = queues.get(id) ?? Promise.resolve();
+  const next = previous.catch(() => {}).then(update);
+
+  queues.set(id, next);
+  next.catch(() => {}).finally(() => {
+    if(queues.get(id) === next) queues.delete(id);
+  });
+
+  return next;
+};
\ No newline at end of file
@@ -0,0 +1,89 @@
+import { DCTalentsConfig } from "../sheets/talents-config.mjs";
+import { DCReglages } from "../sheets/reglages.mjs";
+
+/**
+ * Register the settings of the system.
+ */
+export const registerSettings = function() {
+  // Log of the points of amitié given and spent, read by the Conteuse.
+  game.settings.register("donjons-et-chatons", "amitieLog", {
+    scope:"world",
+    config:false,
+    type:Array,
+    default:[],
+    onChange:() => Object.values(ui.windows).find(w => w instanceof game.dc.applications.DCAmitieLog)?.render(),
+  });
+
+  // Talents renamed, hidden or added by the Conteuse. The data models read them when the world loads.
+  game.settings.register("donjons-et-chatons", "talents", {
+    scope:"world",
+    config:false,
+    type:Object,
+    default:{ajouts:[], libelles:{}, masques:[]},
+    requiresReload:true,
+  });
+
+  game.settings.registerMenu("donjons-et-chatons", "talentsMenu", {
+    name:"DC.SETTINGS.TALENTS.Label",
+    label:"DC.SETTINGS.TALENTS.Bouton",
+    hint:"DC.SETTINGS.TALENTS.Hint",
+    icon:"fa-solid fa-paw",
+    type:DCTalentsConfig,
+    restricted:true,
+  });
+
+  // House rules and automation, set by the Conteuse from their own menu.
+  game.settings.registerMenu("donjons-et-chatons", "reglagesMenu", {
+    name:"DC.SETTINGS.REGLAGES.Label",
+    label:"DC.SETTINGS.REGLAGES.Bouton",
+    hint:"DC.SETTINGS.REGLAGES.Hint",
+    icon:"fa-solid fa-sliders",
+    type:DCReglages,
+    restricted:true,
+  });
+
+  const reglages = {
+    relanceAuto:{type:Boolean, default:false},
+    typeQualite:{type:String, choices:CONFIG.DC.types, default:''},
+    typeTalent:{type:String, choices:CONFIG.DC.types, default:''},
+    typeMiagie:{type:String, choices:CONFIG.DC.types, default:''},
+    relances:{type:Number, default:CONFIG.DC.relances},
+    coeurMiagie:{type:Boolean, default:false},
+    accidentAuto:{type:Boolean, default:true},
+    seuils:{type:String, choices:CONFIG.DC.visibilite, default:'tous'},
+    // Cost in experience of each advancement.
+    coutQualite:{type:Number, default:10},
+    coutTalent:{type:Number, default:5},
+    coutMiagie:{type:Number, default:5},
+  };
+
+  for(let [key, reglage] of Object.entries(reglages)) {
+    game.settings.register("donjons-et-chatons", key, {
+      name:`DC.SETTINGS.${key}`,
+      hint:`DC.SETTINGS.HINTS.${key}`,
+      scope:"world",
+      config:false,
+      ...reglage,
+    });
+  }
+
+  // Modifier keys of the fast rolls, skipping the roll dialog.
+  const modifiers = {
+    "":"DC.SETTINGS.Aucune",
+    Shift:"DC.SETTINGS.Shift",
+    Control:"DC.SETTINGS.Control",
+    Alt:"DC.SETTINGS.Alt",
+  };
+  const rapides = {rapideStandard:"Shift", rapideAvantage:"Control", rapideDesavantage:"Alt"};
+
+  for(let [key, modifier] of Object.entries(rapides)) {
+    game.settings.register("donjons-et-chatons", key, {
+      name:`DC.SETTINGS.${key}`,
+      scope:"client",
+      config:true,
+      type:String,
+      choices:modifiers,
+      default:modifier,
+    });
+  }
+};
\ No newline at end of file
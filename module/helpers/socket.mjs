@@ -0,0 +1,75 @@
+/**
+ * Actions a player cannot do by themself, like updating an actor or a message they don't own.
+ * They are sent through the system socket and run by the active GM.
+ */
+export default class SocketDC {
+    static CHANNEL = "system.donjons-et-chatons";
+
+    static handlers = {};
+
+    /**
+     * Actions sent to the GM and waiting for their result, by id.
+     * @type {Map<string, Function>}
+     */
+    static pending = new Map();
+
+    /**
+     * Time after which an action without answer of the GM is considered failed, in milliseconds.
+     * @type {number}
+     */
+    static TIMEOUT = 30000;
+
+    static init() {
+        game.socket.on(this.CHANNEL, async ({action, data, userId, requestId, result}) => {
+            // Result of an action sent by this user.
+            if(action === 'resultat') {
+                if(userId === game.user.id) this.pending.get(requestId)?.(result);
+                return;
+            }
+
+            if(!game.users.activeGM?.isSelf) return;
+
+            const resultat = await this.handlers[action]?.(data, game.users.get(userId));
+
+            game.socket.emit(this.CHANNEL, {action:'resultat', userId, requestId, result:resultat ?? false});
+        });
+    }
+
+    /**
+     * Register the function run by the GM for an action.
+     * @param {string} action
+     * @param {Function} handler    Called with the data of the action and the user asking for it.
+     */
+    static register(action, handler) {
+        this.handlers[action] = handler;
+    }
+
+    /**
+     * Run an action as GM: directly if the current user is a GM, through the socket otherwise.
+     * Through the socket, wait for the GM to send the result of the action back.
+     * @param {string} action
+     * @param {object} data
+     * @returns {Promise<*>}    Result of the handler, false if the action couldn't be sent or got no answer.
+     */
+    static async executeAsGM(action, data) {
+        if(game.user.isGM) return await this.handlers[action]?.(data, game.user) ?? false;
+
+        if(!game.users.activeGM) {
+            ui.notifications.warn(game.i18n.localize("DC.SansConteuse"));
+            return false;
+        }
+
+        const requestId = foundry.utils.randomID();
+
+        return new Promise(resolve => {
+            const done = result => {
+                this.pending.delete(requestId);
+                resolve(result);
+            };
+
+            this.pending.set(requestId, done);
+            setTimeout(() => this.pending.has(requestId) && done(false), this.TIMEOUT);
+            game.socket.emit(this.CHANNEL, {action, data, userId:game.user.id, requestId});
+        });
+    }
+}
\ No newline at end of file
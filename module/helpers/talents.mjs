@@ -0,0 +1,27 @@
+/**
+ * Complete the talents of CONFIG.DC with the choices of the Conteuse, saved in the "talents" setting:
+ * talents of the rules renamed or hidden, and talents added for the table.
+ * Hidden talents stay in the data of the actors, they are no longer offered on the sheets.
+ */
+export const prepareTalents = function() {
+  const perso = game.settings.get("donjons-et-chatons", "talents");
+
+  for(let key of perso.ajouts ?? []) {
+    if(!CONFIG.DC.talents.includes(key)) CONFIG.DC.talents.push(key);
+  }
+
+  for(let key of CONFIG.DC.talents) {
+    CONFIG.DC.talentsLabels[key] = perso.libelles?.[key] || `DC.TALENTS.${key}`;
+  }
+
+  CONFIG.DC.talentsMasques = perso.masques ?? [];
+};
+
+/**
+ * Talents offered on the sheets: every talent but the hidden ones.
+ * @param {object} [talents]    Talents of an actor, which keeps the hidden talents it already has.
+ * @returns {string[]}
+ */
+export const getTalents = function(talents={}) {
+  return CONFIG.DC.talents.filter(key => !CONFIG.DC.talentsMasques.includes(key) || talents[key]?.value);
+};
\ No newline at end of file
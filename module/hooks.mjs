@@ -1,15 +1,332 @@
 export default class HooksDC {
     static async init() {
+        // Cœur of the controlled tokens, from the context menu of the messages.
+        if(game.release.generation >= 13) Hooks.on("getChatMessageContextOptions", (app, options) => HooksDC._addCoeurContext(options));
+        else Hooks.on("getChatLogEntryContext", (html, options) => HooksDC._addCoeurContext(options));
+
+        Hooks.on("renderTokenHUD", (hud, html) => HooksDC._addCoeurHUD(hud, $(html)));
+
+        // Camps, cœur and turn chosen by the Conteuse in the conflict tracker.
+        Hooks.on("renderCombatTracker", (app, html) => HooksDC._renderConflit(app, $(html)));
+
+        // Roll requested by the Conteuse and group roll, from the token controls.
+        Hooks.on("getSceneControlButtons", controls => HooksDC._addRollControls(controls));
+
+        // Cards following the rolls sent from them: roll requested by the Conteuse, opposed roll and group roll.
+        for(let hook of ["createChatMessage", "updateChatMessage"]) {
+            Hooks.on(hook, message => {
+                game.dc.DCDemande.onRollMessage(message);
+                game.dc.DCOpposition.onRollMessage(message);
+                game.dc.DCGroupe.onRollMessage(message);
+            });
+        }
+
         //DEBUT GESTION MESSAGES
         Hooks.on("renderChatMessage", (message, html, messageData) => {
             const tgt = $(html);
             const flags = message.getFlag("donjons-et-chatons", "roll");
 
+            // The verdict against a hidden seuil would give it away.
+            if(!game.dc.DCRoll.canSeeSeuil(message)) {
+                tgt.find('.dc-seuil').remove();
+                tgt.find('.dc-demande ul.attendus li').removeClass('reussite echec');
+            }
+
+            if(message.getFlag("donjons-et-chatons", "demande")) game.dc.DCDemande.activateCard(message, tgt);
+            if(message.getFlag("donjons-et-chatons", "opposition")) game.dc.DCOpposition.activateCard(message, tgt);
+            if(message.getFlag("donjons-et-chatons", "groupe")) game.dc.DCGroupe.activateCard(message, tgt);
+
             if(flags) {
                 tgt.find('.message-content div.dice-result').click(ev => {
                     const header = $(ev.currentTarget).parents('.dice-roll');
                     header.toggleClass('expanded');
                 });
+
+                if(game.dc.DCRelance.canRelance(message)) {
+                    tgt.find('.dc-relance button').click(ev => {
+                        ev.preventDefault();
+                        new game.dc.DCRelance(message).render(true);
+                    });
+                } else tgt.find('.dc-relance').remove();
+
+                HooksDC._activateAide(message, tgt);
+                HooksDC._activateSoin(message, tgt);
+
+                if(flags.accident) HooksDC._activateAccident(message, tgt, flags.accident);
+            }
+        });
+    }
+
+    /**
+     * Handle the buttons of an "Accident miagique" drawn after a failed miagie.
+     * @param {ChatMessage} message
+     * @param {jQuery} html
+     * @param {object} accident     Accident data stored in the message flags.
+     */
+    static _activateAccident(message, html, accident) {
+        const buttons = html.find('.dc-accident button');
+        const actor = ChatMessage.getSpeakerActor(message.speaker);
+
+        if(accident.applique || !actor?.isOwner) {
+            buttons.prop('disabled', true);
+            return;
+        }
+
+        buttons.click(async ev => {
+            ev.preventDefault();
+            const effet = $(ev.currentTarget).data('effet');
+
+            switch(effet) {
+                case 'coeur':
+                    await actor.applyDamage(1);
+                    break;
+
+                case 'relance':
+                    actor.castMiagie(message.getFlag("donjons-et-chatons", "roll").miagie.id, {gratuit:true});
+                    break;
+            }
+
+            await message.setFlag("donjons-et-chatons", "roll.accident.applique", true);
+        });
+    }
+
+    /**
+     * Handle the button used by the other chatons to help a roll with a point of amitié.
+     * @param {ChatMessage} message
+     * @param {jQuery} html
+     */
+    static _activateAide(message, html) {
+        const roller = ChatMessage.getSpeakerActor(message.speaker);
+        const helpers = game.actors.filter(a => a.type === 'chaton' && a.isOwner && a.id !== roller?.id && a.system.amitie.value > 0 && (!game.user.isGM || !a.hasPlayerOwner));
+
+        if(!helpers.length) {
+            html.find('.dc-aide').remove();
+            return;
+        }
+
+        html.find('.dc-aide button').click(async ev => {
+            ev.preventDefault();
+
+            const content = await renderTemplate("systems/donjons-et-chatons/templates/dialog/aide.html", {
+                label:game.i18n.format("DC.AMITIE.AiderQui", {cible:message.speaker.alias}),
+                helpers:Object.fromEntries(helpers.map(a => [a.id, a.name])),
+                modes:{
+                    de:"DC.AMITIE.MODES.de",
+                    relance:"DC.AMITIE.MODES.relance",
+                },
+            });
+
+            new Dialog({
+                title:game.i18n.localize("DC.AMITIE.Aider"),
+                content:content,
+                buttons:{
+                    one:{
+                        icon:'<i class="fas fa-check"></i>',
+                        label:game.i18n.localize("DC.AMITIE.Aider"),
+                        callback:html => game.actors.get(html.find('select.helper').val())?.aider(message, html.find('select.mode').val())
+                    },
+                    two:{
+                        icon:'<i class="fas fa-times"></i>',
+                        label:game.i18n.localize("DC.ROLL.ASK.Cancel"),
+                        callback:() => {}
+                    }
+                },
+                default:"one",
+            }, {classes:["dcaskroll"]}).render(true);
+        });
+    }
+
+    /**
+     * Handle the button healing the targets of a successful miagie.
+     * The button can only be used once per message.
+     * @param {ChatMessage} message
+     * @param {jQuery} html
+     */
+    static _activateSoin(message, html) {
+        if(!message.isOwner) {
+            html.find('.dc-soin').remove();
+            return;
+        }
+
+        const button = html.find('.dc-soin button');
+
+        if(message.getFlag("donjons-et-chatons", "roll")?.soin?.applique) {
+            button.prop('disabled', true);
+            return;
+        }
+
+        button.click(async ev => {
+            ev.preventDefault();
+            const soin = $(ev.currentTarget).data('soin');
+            const targets = Array.from(game.user.targets).map(t => t.actor).filter(a => a?.system.coeur);
+
+            if(!targets.length) {
+                ui.notifications.warn(game.i18n.localize("DC.COEUR.SansCible"));
+                return;
+            }
+
+            button.prop('disabled', true);
+            await Promise.all(targets.map(a => a.heal(soin, {message:message.id})));
+            await message.setFlag("donjons-et-chatons", "roll.soin.applique", true);
+        });
+    }
+
+    /**
+     * Add the entries changing the cœur of the controlled tokens to the context menu of the messages.
+     * @param {object[]} options
+     */
+    static _addCoeurContext(options) {
+        const actors = () => canvas.tokens?.controlled.map(t => t.actor).filter(a => a?.system.coeur) ?? [];
+
+        options.push({
+            name:game.i18n.localize("DC.COEUR.Degats"),
+            icon:'<i class="fa-solid fa-heart-crack"></i>',
+            condition:() => actors().length > 0,
+            callback:() => actors().forEach(a => a.applyDamage(1)),
+        }, {
+            name:game.i18n.localize("DC.COEUR.Soin"),
+            icon:'<i class="fa-solid fa-heart-circle-plus"></i>',
+            condition:() => actors().length > 0,
+            callback:() => actors().forEach(a => a.heal(1)),
+        });
+    }
+
+    /**
+     * Add the controls changing the cœur of the actor to the token HUD.
+     * @param {TokenHUD} hud
+     * @param {jQuery} html
+     */
+    static _addCoeurHUD(hud, html) {
+        const actor = hud.object?.actor;
+
+        if(!actor?.system.coeur || !actor.isOwner) return;
+
+        const controls = $(`
+            <div class="control-icon dc-coeur" data-dc-coeur="-1" title="${game.i18n.localize("DC.COEUR.Degats")}"><i class="fa-solid fa-heart-crack"></i></div>
+            <div class="control-icon dc-coeur" data-dc-coeur="1" title="${game.i18n.localize("DC.COEUR.Soin")}"><i class="fa-solid fa-heart-circle-plus"></i></div>
+        `);
+
+        controls.click(ev => {
+            ev.preventDefault();
+            ev.stopPropagation();
+
+            if($(ev.currentTarget).data('dcCoeur') < 0) actor.applyDamage(1);
+            else actor.heal(1);
+        });
+
+        html.find('.col.left').append(controls);
+    }
+
+    /**
+     * Add the tools starting a roll from a chat card to the token controls.
+     * Only the Conteuse can ask for a roll, anyone can start a group roll.
+     * @param {object[]|object} controls    An array before v13, an object by name since.
+     */
+    static _addRollControls(controls) {
+        const tools = [{
+            name:"dcGroupe",
+            title:"DC.GROUPE.Label",
+            icon:"fa-solid fa-people-group",
+            button:true,
+            action:() => game.dc.DCGroupe.dialog(),
+        }];
+
+        if(game.user.isGM) {
+            tools.unshift({
+                name:"dcDemande",
+                title:"DC.DEMANDE.Label",
+                icon:"fa-solid fa-dice",
+                button:true,
+                action:() => game.dc.DCDemande.dialog(),
+            });
+        }
+
+        for(let {action, ...tool} of tools) {
+            if(Array.isArray(controls)) {
+                controls.find(c => c.name === "token")?.tools.push({
+                    ...tool,
+                    onClick:action,
+                });
+            } else if(controls.tokens) {
+                controls.tokens.tools[tool.name] = {
+                    ...tool,
+                    order:Object.keys(controls.tokens.tools).length,
+                    onChange:action,
+                };
+            }
+        }
+    }
+
+    /**
+     * Show the camps of the conflict in the tracker, with the cœur of each combatant,
+     * a quick damage control, and the buttons of the Conteuse choosing who acts next.
+     * @param {CombatTracker} app
+     * @param {jQuery} html
+     */
+    static _renderConflit(app, html) {
+        const combat = app.viewed;
+
+        if(!combat) return;
+
+        let camp = null;
+
+        html.find('li.combatant').each((i, el) => {
+            const li = $(el);
+            const combatant = combat.combatants.get(li.data('combatantId'));
+            const actor = combatant?.actor;
+
+            if(!combatant) return;
+
+            if(combatant.camp !== camp) {
+                camp = combatant.camp;
+                li.before(`<li class="dc-camp">${game.i18n.localize(CONFIG.DC.camps[camp])}</li>`);
+            }
+
+            li.addClass(`dc-${camp}`).toggleClass('dc-agi', combatant.agi);
+            li.find('.token-initiative').remove();
+
+            const controls = $('<div class="dc-conflit"></div>');
+
+            if(actor?.system.coeur) {
+                controls.append(`<span class="coeur"><i class="fa-solid fa-heart"></i> ${actor.system.coeur.value} / ${actor.system.coeur.max}</span>`);
+
+                if(actor.isOwner) {
+                    controls.append(`<a data-dc="degats" title="${game.i18n.localize("DC.COEUR.Degats")}"><i class="fa-solid fa-heart-crack"></i></a>`);
+                    controls.append(`<a data-dc="soin" title="${game.i18n.localize("DC.COEUR.Soin")}"><i class="fa-solid fa-heart-circle-plus"></i></a>`);
+                }
+            }
+
+            if(game.user.isGM) {
+                if(combat.started && combat.combatant !== combatant) controls.append(`<a data-dc="agir" title="${game.i18n.localize("DC.CONFLIT.Agir")}"><i class="fa-solid fa-hand-point-right"></i></a>`);
+
+                controls.append(`<a data-dc="camp" title="${game.i18n.localize("DC.CONFLIT.Camp")}"><i class="fa-solid fa-people-arrows"></i></a>`);
+            }
+
+            li.find('.token-name').append(controls);
+        });
+
+        html.find('.dc-conflit a').click(ev => {
+            ev.preventDefault();
+            ev.stopPropagation();
+            const target = $(ev.currentTarget);
+            const combatant = combat.combatants.get(target.closest('li.combatant').data('combatantId'));
+
+            switch(target.data('dc')) {
+                case 'degats':
+                    combatant.actor.applyDamage(1);
+                    break;
+
+                case 'soin':
+                    combatant.actor.heal(1);
+                    break;
+
+                case 'agir':
+                    combat.choisirTour(combatant.id);
+                    break;
+
+                case 'camp':
+                    combatant.changerCamp();
+                    break;
             }
         });
     }
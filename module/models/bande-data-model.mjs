@@ -0,0 +1,38 @@
+export class BandeDataModel extends foundry.abstract.TypeDataModel {
+	static defineSchema() {
+		const {ArrayField, StringField, HTMLField} = foundry.data.fields;
+        let data = {
+            membres:new ArrayField(new StringField({initial:""})),
+            description:new HTMLField({initial:""}),
+            journal:new HTMLField({initial:""}),
+        }
+
+		return data;
+	}
+
+	_initialize(options = {}) {
+		super._initialize(options);
+	}
+
+    get actor() {
+        return this.parent;
+    }
+
+    /**
+     * Chatons of the band, ignoring the ones that no longer exist.
+     * @type {Actor[]}
+     */
+    get chatons() {
+        return this.membres.map(id => game.actors.get(id)).filter(a => a);
+    }
+
+    prepareBaseData() {
+    }
+
+    prepareDerivedData() {
+    }
+
+    static migrateData(source) {
+        return super.migrateData(source);
+    }
+}
\ No newline at end of file
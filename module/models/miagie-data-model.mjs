@@ -5,6 +5,7 @@ export class MiagieDataModel extends foundry.abstract.TypeDataModel {
             description:new HTMLField({initial:""}),
             qualite:new StringField({initial:""}),
             succes:new NumberField({initial:1}),
+            soin:new NumberField({initial:0}),
         }
 
 		return data;
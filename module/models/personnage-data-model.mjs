@@ -1,6 +1,6 @@
 export class DCDataModel extends foundry.abstract.TypeDataModel {
 	static defineSchema() {
-		const {SchemaField, StringField, NumberField, BooleanField, HTMLField} = foundry.data.fields;
+		const {SchemaField, ArrayField, StringField, NumberField, BooleanField, HTMLField} = foundry.data.fields;
         const listTalents = CONFIG.DC.talents;
         let talents = {}
 
@@ -14,7 +14,9 @@ export class DCDataModel extends foundry.abstract.TypeDataModel {
         let data = {
             don:new StringField({initial:""}),
             enfance:new StringField({initial:""}),
-            caractere:new StringField({initial:""}),
+            caractere:new ArrayField(new SchemaField({
+              nom:new StringField({initial:""}),
+            })),
             description:new HTMLField({initial:""}),
             historique:new HTMLField({initial:""}),
             experience:new SchemaField({
@@ -35,6 +37,14 @@ export class DCDataModel extends foundry.abstract.TypeDataModel {
               max:new NumberField({initial:0}),
             }),
             talents:new SchemaField(talents),
+            progression:new ArrayField(new SchemaField({
+              date:new NumberField({initial:0}),
+              type:new StringField({initial:""}),
+              cle:new StringField({initial:""}),
+              label:new StringField({initial:""}),
+              cout:new NumberField({initial:0}),
+              itemId:new StringField({initial:""}),
+            })),
         }
 
 		return data;
@@ -62,6 +72,8 @@ export class DCDataModel extends foundry.abstract.TypeDataModel {
             configurable:true
         });
 
+        this.coeur.value = Math.min(this.coeur.value, this.coeur.max);
+
         Object.defineProperty(this.amitie, 'max', {
             value: mignon,
             writable:true,
@@ -71,6 +83,11 @@ export class DCDataModel extends foundry.abstract.TypeDataModel {
     }
 
     static migrateData(source) {
+        // Caractère used to be a free text, it is now a list of traits.
+        if(typeof source.caractere === 'string') {
+            source.caractere = source.caractere.trim() === '' ? [] : [{nom:source.caractere}];
+        }
+
         return super.migrateData(source);
     }
 }
\ No newline at end of file
@@ -0,0 +1,39 @@
+export class PNJDataModel extends foundry.abstract.TypeDataModel {
+	static defineSchema() {
+		const {SchemaField, NumberField, HTMLField} = foundry.data.fields;
+        let data = {
+            menace:new NumberField({initial:1, min:0}),
+            qualites:new SchemaField({
+              costaud:new NumberField({initial:0}),
+              malin:new NumberField({initial:0}),
+              mignon:new NumberField({initial:0}),
+            }),
+            coeur:new SchemaField({
+              value:new NumberField({initial:1}),
+              max:new NumberField({initial:1}),
+            }),
+            notes:new HTMLField({initial:""}),
+        }
+
+		return data;
+	}
+
+	_initialize(options = {}) {
+		super._initialize(options);
+	}
+
+    get actor() {
+        return this.parent;
+    }
+
+    prepareBaseData() {
+    }
+
+    prepareDerivedData() {
+        this.coeur.value = Math.min(this.coeur.value, this.coeur.max);
+    }
+
+    static migrateData(source) {
+        return super.migrateData(source);
+    }
+}
\ No newline at end of file
@@ -1,4 +1,7 @@
-import { DCRelance } from "./relance-sheet.mjs";
+import DCRoll from "../documents/roll.js";
+import { DCAmitieLog } from "./amitie-log.mjs";
+import { DCCreation } from "./creation.mjs";
+import { getTalents } from "../helpers/talents.mjs";
 
 /**
  * @extends {ActorSheet}
@@ -23,12 +26,12 @@ export class DCActorSheet extends ActorSheet {
   getData() {
     const context = super.getData();
 
-    const listTalents = CONFIG.DC.talents;
+    const listTalents = getTalents(this.actor.system.talents);
 
     let listTalentsUpdated = {};
 
     for(let i = 0;i < listTalents.length;i++) {
-      listTalentsUpdated[listTalents[i]] = game.i18n.localize(`DC.TALENTS.${listTalents[i]}`);
+      listTalentsUpdated[listTalents[i]] = game.i18n.localize(CONFIG.DC.talentsLabels[listTalents[i]]);
     }
 
     context.actor.talents = listTalentsUpdated;
@@ -36,10 +39,44 @@ export class DCActorSheet extends ActorSheet {
     this._prepareCharacterItems(context);
 
     context.systemData = context.data.system;
+    context.progression = context.systemData.progression.map((entry, index) => ({
+      ...entry,
+      index:index,
+      date:new Date(entry.date).toLocaleString(game.i18n.lang),
+    })).reverse();
+    context.isGM = game.user.isGM;
+    context.rapide = DCRoll.getRapideHint();
 
     return context;
   }
 
+  /** @inheritdoc */
+  _getHeaderButtons() {
+    const buttons = super._getHeaderButtons();
+
+    if(this.isEditable) {
+      buttons.unshift({
+        label: game.i18n.localize("DC.CREATION.Label"),
+        class: "creation",
+        icon: "fa-solid fa-wand-magic-sparkles",
+        onclick: () => new DCCreation(this.actor).render(true),
+      });
+    }
+
+    if(game.user.isGM) {
+      buttons.unshift({
+        label: game.i18n.localize("DC.AMITIE.Journal"),
+        class: "amitie-log",
+        icon: "fa-solid fa-hand-holding-heart",
+        onclick: () => new DCAmitieLog().render(true),
+      });
+    }
+
+    return buttons;
+  }
+
+  /* -------------------------------------------- */
+
   /**
      * Return a light sheet if in "limited" state
      * @override
@@ -70,6 +107,51 @@ export class DCActorSheet extends ActorSheet {
 
     html.find('.item-create').click(this._onItemCreate.bind(this));
 
+    html.find('.amitie-give').click(async ev => {
+      const target = await this.actor.askAmitieTarget(game.i18n.localize("DC.AMITIE.OffrirA"));
+
+      if(target) this.actor.giveAmitie(target);
+    });
+
+    html.find('.progression-open').click(async ev => {
+      const choix = await this.actor.askProgression();
+
+      if(choix) this.actor.progresser(choix.type, choix.cle);
+    });
+
+    html.find('.progression-annuler').click(ev => {
+      const index = $(ev.currentTarget).data("index");
+
+      Dialog.confirm({
+        title:game.i18n.localize("DC.PROGRESSION.Annuler"),
+        content:`<p>${game.i18n.localize("DC.PROGRESSION.AnnulerConfirm")}</p>`,
+        yes:() => this.actor.annulerProgression(index),
+      });
+    });
+
+    html.find('.caractere-add').click(ev => {
+      const caractere = this.actor.system.toObject().caractere;
+
+      caractere.push({nom:""});
+      this.actor.update({'system.caractere':caractere});
+    });
+
+    html.find('.caractere .trait input').change(ev => {
+      ev.stopPropagation();
+      const target = $(ev.currentTarget);
+      const caractere = this.actor.system.toObject().caractere;
+
+      caractere[target.data("index")].nom = target.val();
+      this.actor.update({'system.caractere':caractere});
+    });
+
+    html.find('.caractere-delete').click(ev => {
+      const caractere = this.actor.system.toObject().caractere;
+
+      caractere.splice($(ev.currentTarget).data("index"), 1);
+      this.actor.update({'system.caractere':caractere});
+    });
+
     html.find('.item-edit').click(ev => {
       const header = $(ev.currentTarget).parents(".summary");
       const item = this.actor.items.get(header.data("item-id"));
@@ -87,178 +169,26 @@ export class DCActorSheet extends ActorSheet {
 
     html.find('.item-dialog').click(async ev => {
       const header = $(ev.currentTarget).parents(".summary");
-      const item = this.actor.items.get(header.data("item-id"));
 
-      const msgData = {
-        label:`${item.name}`,
-        description:`${item.system.description}`
-      };
-
-      const msg = {
-        user: game.user.id,
-        speaker: {
-          actor: this.actor?.id || null,
-          token: this.actor?.token?.id || null,
-          alias: this.actor?.name || null,
-        },
-        type: CONST.CHAT_MESSAGE_TYPES.OTHER,
-        content: await renderTemplate('systems/donjons-et-chatons/templates/msg/item.html', msgData)
-      };
-
-      const rMode = game.settings.get("core", "rollMode");
-      const msgFData = ChatMessage.applyRollMode(msg, rMode);
-
-      await ChatMessage.create(msgFData, {
-        rollMode:rMode
-      });
+      this.actor.sendItem(header.data("item-id"));
+    });
+
+    html.find('.item-cast').click(async ev => {
+      const header = $(ev.currentTarget).parents(".summary");
+
+      this.actor.castMiagie(header.data("item-id"), DCRoll.getRapide());
     });
 
     html.find('label.roll').click(async ev => {
       const target = $(ev.currentTarget);
-      const label = target.data("label");
-      const value = target.data("value");
-
-      const dataTemplate = {
-        label: `${label} : ${game.i18n.localize(`DC.ROLL.ASK.Type`)} ?`,
-        options:
-        `<option value="">${game.i18n.localize(`DC.ROLL.ASK.Standard`)}</option> <option value="avantage">${game.i18n.localize(`DC.ROLL.ASK.Avantage`)}</option> <option value="desavantage">${game.i18n.localize(`DC.ROLL.ASK.Desavantage`)}</option>`
-      };
-      const dialogTemplate = await renderTemplate("systems/donjons-et-chatons/templates/dialog/ask.html", dataTemplate);
-      const dialogOptions = {
-        classes: ["dcaskroll"],
-      };
-
-      let d = new Dialog({
-        title: `${game.i18n.localize(`DC.ROLL.ASK.Type`)}`,
-        content:dialogTemplate,
-        buttons: {
-          one: {
-          icon: '<i class="fas fa-check"></i>',
-          label: `${game.i18n.localize(`DC.ROLL.ASK.Roll`)}`,
-          callback: async (event) => {
-              const result = $(event.find('.choice'))[0].value;
-              let name = `${label}`;
-              let roll = `3D6`;
-              let numDice = 3;
-
-              switch(result) {
-                case 'avantage':
-                  name += `<br/>${game.i18n.localize(`DC.ROLL.wAvantage`)}`;
-                  roll = `4D6`;
-                  numDice = 4;
-                  break;
-                case 'desavantage':
-                  name += `<br/>${game.i18n.localize(`DC.ROLL.wDesavantage`)}`;
-                  roll = `2D6`;
-                  numDice = 2;
-                  break;
-              }
-
-              let r = new game.dc.DCRoll(this.actor, name, result);
-              r.difficulte = parseInt(value);
-              await r.doRoll(roll);
-              r.sendMsg();
-            }
-          },
-          two: {
-          icon: '<i class="fas fa-times"></i>',
-          label: `${game.i18n.localize(`DC.ROLL.ASK.Cancel`)}`,
-          callback: () => {}
-          }
-        },
-        default: "two",
-        dialogOptions
-        },
-        dialogOptions);
-      d.render(true);
+
+      this.actor.rollQualite(target.data("id"), DCRoll.getRapide());
     });
 
     html.find('img.rolltalent').click(async ev => {
-      const data = this.getData();
       const target = $(ev.currentTarget);
-      const talent = target.data("talent");
-      const nTalent = target.data("label");
-      const nQualite = data.systemData.talents[talent].qualite;
-      const vQualite = data.systemData.qualites;
-
-      let label = '';
-      let value = 0;
-
-      if(nQualite === '') return;
-
-      switch(nQualite) {
-        case 'costaud':
-          label = `${nTalent} (${game.i18n.localize(`DC.QUALITES.Costaud`)})`;
-          value = vQualite.costaud;
-          break;
 
-        case 'malin':
-          label = `${nTalent} (${game.i18n.localize(`DC.QUALITES.Malin`)})`;
-          value = vQualite.malin;
-          break;
-
-        case 'mignon':
-          label = `${nTalent} (${game.i18n.localize(`DC.QUALITES.Mignon`)})`;
-          value = vQualite.mignon;
-          break;
-      }
-
-      const dataTemplate = {
-        label: `${label} : ${game.i18n.localize(`DC.ROLL.ASK.Type`)} ?`,
-        options:
-        `<option value="">${game.i18n.localize(`DC.ROLL.ASK.Standard`)}</option> <option value="avantage" selected>${game.i18n.localize(`DC.ROLL.ASK.Avantage`)}</option> <option value="desavantage">${game.i18n.localize(`DC.ROLL.ASK.Desavantage`)}</option>`
-      };
-      const dialogTemplate = await renderTemplate("systems/donjons-et-chatons/templates/dialog/ask.html", dataTemplate);
-      const dialogOptions = {
-        classes: ["dcaskroll"],
-      };
-
-      let d = new Dialog({
-        title: `${game.i18n.localize(`DC.ROLL.ASK.Type`)}`,
-        content:dialogTemplate,
-        buttons: {
-          one: {
-          icon: '<i class="fas fa-check"></i>',
-          label: `${game.i18n.localize(`DC.ROLL.ASK.Roll`)}`,
-          callback: async (event) => {
-              const result = $(event.find('.choice'))[0].value;
-              let name = `${label}`;
-              let roll = `3D6`;
-              let numDice = 3;
-
-              switch(result) {
-                case 'avantage':
-                  name += `<br/>${game.i18n.localize(`DC.ROLL.wAvantage`)}`;
-                  roll = `4D6`;
-                  numDice = 4;
-                  break;
-                case 'desavantage':
-                  name += `<br/>${game.i18n.localize(`DC.ROLL.wDesavantage`)}`;
-                  roll = `2D6`;
-                  numDice = 2;
-                  break;
-              }
-
-              let r = new game.dc.DCRoll(this.actor, name, result);
-              r.difficulte = parseInt(value);
-              await r.doRoll(roll);
-              r.sendMsg();
-            }
-          },
-          two: {
-          icon: '<i class="fas fa-times"></i>',
-          label: `${game.i18n.localize(`DC.ROLL.ASK.Cancel`)}`,
-          callback: () => {}
-          }
-        },
-        default: "two",
-        dialogOptions
-        },
-        dialogOptions);
-      d.render(true);
-
-      /**/
-      //game.messages.get(msg._id);
+      this.actor.rollTalent(target.data("talent"), DCRoll.getRapide());
     });
   }
 
@@ -317,26 +247,44 @@ export class DCActorSheet extends ActorSheet {
     return await Item.create(itemData, {parent: this.actor});
   }
 
+  /**
+   * Items dropped from the band of the chaton are moved instead of copied.
+   * @inheritdoc
+   */
+  async _onDropItem(event, data) {
+    if ( !this.actor.isOwner ) return false;
+
+    const item = await Item.implementation.fromDropData(data);
+
+    if(item?.parent && this.actor.isBandeLink(item.parent)) return this.actor.moveItem(item);
+
+    return super._onDropItem(event, data);
+  }
+
+  /**
+   * Items are dragged as themselves, to the hotbar, to a band or to another sheet.
+   * Qualités and talents are dragged as a roll of this actor, referenced by UUID for the unlinked tokens.
+   * @inheritdoc
+   */
   _onDragStart(event) {
-    const li = event.currentTarget;
+    const li = $(event.currentTarget);
 
     if ( event.target.classList.contains("content-link") ) return;
 
-    const label = $(li)?.data("label") || "";
-    const istalent = $(li)?.data("istalent") || false;
-    const issay = $(li)?.data("issay") || false;
-    const id = $(li)?.data('id')
+    if(li.data("issay")) {
+      const item = this.actor.items.get(li.data("id"));
+
+      if(item) event.dataTransfer.setData("text/plain", JSON.stringify(item.toDragData()));
+      return;
+    }
 
     // Create drag data
     const dragData = {
-      actorId: this.actor.id,
-      sceneId: this.actor.isToken ? canvas.scene?.id : null,
-      tokenId: this.actor.isToken ? this.actor.token.id : null,
-      label:label,
-      istalent:istalent,
-      issay:issay,
-      id:id,
-      itemId:$(li)?.data("itemid") || 0
+      type:"DCJet",
+      uuid:this.actor.uuid,
+      jet:li.data("istalent") ? 'talent' : 'qualite',
+      key:li.data("id"),
+      label:li.data("label") || "",
     };
 
     // Set data transfer
@@ -0,0 +1,70 @@
+/**
+ * Log of the points of amitié given and spent between the chatons, for the Conteuse.
+ * @extends {Application}
+ */
+export class DCAmitieLog extends Application {
+
+  /** @inheritdoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "dc-amitie-log",
+      classes: ["dc", "sheet", "amitielog"],
+      template: "systems/donjons-et-chatons/templates/amitie-log.html",
+      title: game.i18n.localize("DC.AMITIE.Journal"),
+      width: 450,
+      height: 400,
+      resizable: true,
+    });
+  }
+
+  /** @inheritdoc */
+  getData() {
+    const context = super.getData();
+    const log = game.settings.get("donjons-et-chatons", "amitieLog");
+
+    context.entries = log.map(e => {
+      return {
+        ...e,
+        date:new Date(e.date).toLocaleString(game.i18n.lang),
+      };
+    }).reverse();
+
+    return context;
+  }
+
+  /** @inheritdoc */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('button.vider').click(async ev => {
+      const confirm = await Dialog.confirm({
+        title: game.i18n.localize("DC.AMITIE.Journal"),
+        content: `<p>${game.i18n.localize("DC.AMITIE.ViderConfirm")}</p>`,
+      });
+
+      if(confirm) game.settings.set("donjons-et-chatons", "amitieLog", []);
+    });
+  }
+
+  /**
+   * Add an entry to the log. Only the GM can write it.
+   * @param {object} entry
+   * @param {string} entry.type     'don' or 'aide'.
+   * @param {string} entry.de       Name of the chaton giving or spending the point.
+   * @param {string} entry.a        Name of the chaton receiving the point or the help.
+   * @param {string} [entry.detail]
+   * @param {string} entry.user     Name of the user who did it.
+   */
+  static async add(entry) {
+    if(!game.user.isGM) return;
+
+    const log = game.settings.get("donjons-et-chatons", "amitieLog");
+
+    log.push({
+      date:Date.now(),
+      ...entry,
+    });
+
+    await game.settings.set("donjons-et-chatons", "amitieLog", log);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * @extends {ActorSheet}
+ */
+export class DCBandeSheet extends ActorSheet {
+
+  /** @inheritdoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["bande", "sheet", "actor"],
+      template: "systems/donjons-et-chatons/templates/bande-sheet.html",
+      width: 700,
+      height: 600,
+      tabs: [{navSelector: ".sheet-tabs", contentSelector: ".sheet-body", initial: "membres"}],
+      dragDrop: [{dragSelector: ".draggable", dropSelector: null}],
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  getData() {
+    const context = super.getData();
+
+    context.systemData = context.data.system;
+    context.membres = this.actor.system.chatons.map(chaton => ({
+      id:chaton.id,
+      name:chaton.name,
+      img:chaton.img,
+      coeur:chaton.system.coeur,
+      amitie:chaton.system.amitie,
+    }));
+    context.equipement = context.items.filter(i => i.type === 'equipement');
+
+    return context;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('.membre-open').click(ev => {
+      const id = $(ev.currentTarget).parents(".membre").data("actor-id");
+
+      game.actors.get(id)?.sheet.render(true);
+    });
+
+    // Everything below here is only needed if the sheet is editable
+    if ( !this.isEditable ) return;
+
+    html.find('.membre-delete').click(ev => {
+      const id = $(ev.currentTarget).parents(".membre").data("actor-id");
+
+      this.actor.update({'system.membres':this.actor.system.membres.filter(m => m !== id)});
+    });
+
+    html.find('.item-create').click(ev => {
+      Item.create({
+        name:game.i18n.localize("TYPES.Item.equipement"),
+        type:"equipement",
+        img:"systems/donjons-et-chatons/assets/icons/Equipement.svg",
+      }, {parent: this.actor});
+    });
+
+    html.find('.item-edit').click(ev => {
+      const header = $(ev.currentTarget).parents(".summary");
+
+      this.actor.items.get(header.data("item-id"))?.sheet.render(true);
+    });
+
+    html.find('.item-delete').click(ev => {
+      const header = $(ev.currentTarget).parents(".summary");
+
+      this.actor.items.get(header.data("item-id"))?.delete();
+      header.slideUp(200, () => this.render(false));
+    });
+
+    html.find('.item-dialog').click(ev => {
+      const header = $(ev.currentTarget).parents(".summary");
+
+      this.actor.sendItem(header.data("item-id"));
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Add a dropped chaton to the band.
+   * @inheritdoc
+   */
+  async _onDropActor(event, data) {
+    if ( !this.actor.isOwner ) return false;
+
+    const actor = await Actor.implementation.fromDropData(data);
+
+    if(actor?.type !== 'chaton' || actor.isToken || this.actor.system.membres.includes(actor.id)) return false;
+
+    return this.actor.update({'system.membres':[...this.actor.system.membres, actor.id]});
+  }
+
+  /**
+   * Equipment dropped from a member of the band is moved instead of copied.
+   * @inheritdoc
+   */
+  async _onDropItem(event, data) {
+    if ( !this.actor.isOwner ) return false;
+
+    const item = await Item.implementation.fromDropData(data);
+
+    if(item?.type === 'equipement' && item.parent && this.actor.isBandeLink(item.parent)) return this.actor.moveItem(item);
+
+    return super._onDropItem(event, data);
+  }
+
+  /**
+   * A band only holds equipment.
+   * @inheritdoc
+   */
+  async _onDropItemCreate(itemData, event) {
+    const items = (itemData instanceof Array ? itemData : [itemData]).filter(i => i.type === 'equipement');
+
+    return super._onDropItemCreate(items, event);
+  }
+
+  _onDragStart(event) {
+    const li = event.currentTarget;
+    const item = this.actor.items.get($(li).closest(".summary").data("item-id"));
+
+    if(!item) return super._onDragStart(event);
+
+    event.dataTransfer.setData("text/plain", JSON.stringify(item.toDragData()));
+  }
+}
\ No newline at end of file
@@ -0,0 +1,243 @@
+import { getTalents } from "../helpers/talents.mjs";
+
+/**
+ * Step by step creation of a new chaton, following the rules of CONFIG.DC.creation.
+ * @extends {FormApplication}
+ */
+export class DCCreation extends FormApplication {
+
+  /**
+   * Steps of the creation, in order.
+   * @type {string[]}
+   */
+  static STEPS = ['qualites', 'talents', 'identite', 'miagies'];
+
+  constructor(actor, options={}) {
+    super(actor, options);
+
+    const min = CONFIG.DC.creation.qualites.min;
+
+    this.step = 0;
+    this.creation = {
+      qualites:{costaud:min, malin:min, mignon:min},
+      talents:{},
+      enfance:actor.system.enfance,
+      caractere:actor.system.caractere.map(c => c.nom).join('\n'),
+      don:actor.system.don,
+      miagies:[],
+    };
+  }
+
+  /** @inheritdoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["dc", "sheet", "creation"],
+      template: "systems/donjons-et-chatons/templates/creation.html",
+      width: 550,
+      height: 600,
+      resizable: true,
+      submitOnChange: true,
+      closeOnSubmit: false,
+    });
+  }
+
+  /** @inheritdoc */
+  get title() {
+    return `${game.i18n.localize("DC.CREATION.Label")} : ${this.object.name}`;
+  }
+
+  /** @inheritdoc */
+  async getData() {
+    const context = super.getData();
+    const rules = CONFIG.DC.creation;
+    const qualites = this.creation.qualites;
+
+    context.step = DCCreation.STEPS[this.step];
+    context.steps = DCCreation.STEPS.map((s, i) => ({
+      key:s,
+      label:`DC.CREATION.${s}`,
+      active:i === this.step,
+    }));
+    context.first = this.step === 0;
+    context.last = this.step === DCCreation.STEPS.length-1;
+    context.erreur = this._validate(context.step);
+    context.rules = rules;
+    context.creation = this.creation;
+
+    context.qualites = Object.entries(CONFIG.DC.qualites).map(([key, label]) => ({
+      key:key,
+      label:label,
+      value:qualites[key],
+    }));
+    context.restant = rules.qualites.total-Object.values(qualites).reduce((a, b) => a+b, 0);
+
+    context.talents = getTalents().map(key => ({
+      key:key,
+      label:CONFIG.DC.talentsLabels[key],
+      value:key in this.creation.talents,
+      qualite:this.creation.talents[key] ?? '',
+    }));
+
+    context.miagies = await this._getMiagies();
+
+    return context;
+  }
+
+  /**
+   * Miagies of the compendiums of the system, by compendium.
+   * @returns {Promise<object[]>}
+   */
+  async _getMiagies() {
+    if(!this._miagies) {
+      this._miagies = [];
+
+      for(let pack of game.packs.filter(p => p.metadata.packageName === game.system.id && p.documentName === 'Item')) {
+        const index = await pack.getIndex({fields:['type']});
+
+        this._miagies.push({
+          label:pack.metadata.label,
+          miagies:index.filter(i => i.type === 'miagie').map(i => ({uuid:i.uuid, name:i.name})),
+        });
+      }
+    }
+
+    return this._miagies.map(p => ({
+      label:p.label,
+      miagies:p.miagies.map(m => ({...m, checked:this.creation.miagies.includes(m.uuid)})),
+    }));
+  }
+
+  /**
+   * Check that a step follows the rules of creation.
+   * @param {string} step
+   * @returns {string|null}   Why the step isn't finished yet.
+   */
+  _validate(step) {
+    const rules = CONFIG.DC.creation;
+
+    switch(step) {
+      case 'qualites': {
+        const values = Object.values(this.creation.qualites);
+        const total = values.reduce((a, b) => a+b, 0);
+
+        if(values.some(v => v < rules.qualites.min || v > rules.qualites.max)) return game.i18n.format("DC.CREATION.ErreurQualite", rules.qualites);
+        if(total !== rules.qualites.total) return game.i18n.format("DC.CREATION.ErreurTotal", rules.qualites);
+        break;
+      }
+
+      case 'talents': {
+        const talents = Object.values(this.creation.talents);
+
+        if(talents.length !== rules.talents) return game.i18n.format("DC.CREATION.ErreurTalents", {nombre:rules.talents});
+        if(talents.some(q => !q)) return game.i18n.localize("DC.CREATION.ErreurTalentQualite");
+        break;
+      }
+
+      case 'miagies':
+        if(this.creation.miagies.length > rules.miagies) return game.i18n.format("DC.CREATION.ErreurMiagies", {nombre:rules.miagies});
+        break;
+    }
+
+    return null;
+  }
+
+  /** @inheritdoc */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('input.miagie').change(ev => {
+      const uuid = $(ev.currentTarget).data("uuid");
+
+      this.creation.miagies = this.creation.miagies.filter(m => m !== uuid);
+      if(ev.currentTarget.checked) this.creation.miagies.push(uuid);
+
+      this.render(false);
+    });
+
+    html.find('button.precedent').click(ev => {
+      this.step = Math.max(this.step-1, 0);
+      this.render(false);
+    });
+
+    html.find('button.suivant').click(ev => {
+      if(this._validate(DCCreation.STEPS[this.step])) return;
+
+      this.step = Math.min(this.step+1, DCCreation.STEPS.length-1);
+      this.render(false);
+    });
+
+    html.find('button.terminer').click(ev => this._finish());
+  }
+
+  /** @inheritdoc */
+  async _updateObject(event, formData) {
+    const data = foundry.utils.expandObject(formData);
+    const step = DCCreation.STEPS[this.step];
+
+    switch(step) {
+      case 'qualites':
+        for(let key of Object.keys(this.creation.qualites)) this.creation.qualites[key] = Number(data.qualites?.[key]) || 0;
+        break;
+
+      case 'talents':
+        this.creation.talents = {};
+
+        for(let [key, talent] of Object.entries(data.talents ?? {})) {
+          if(talent.value) this.creation.talents[key] = talent.qualite;
+        }
+        break;
+
+      case 'identite':
+        this.creation.enfance = data.enfance;
+        this.creation.caractere = data.caractere;
+        this.creation.don = data.don;
+        // Nothing to count on this step, and rendering would lose the focus.
+        return;
+    }
+
+    this.render(false);
+  }
+
+  /**
+   * Apply the creation to the chaton, then give it all its cœur and amitié.
+   */
+  async _finish() {
+    const error = DCCreation.STEPS.map(s => this._validate(s)).find(e => e);
+
+    if(error) {
+      ui.notifications.warn(error);
+      return;
+    }
+
+    const actor = this.object;
+    const creation = this.creation;
+    const update = {
+      'system.qualites':creation.qualites,
+      'system.enfance':creation.enfance,
+      'system.caractere':creation.caractere.split('\n').map(c => c.trim()).filter(c => c).map(nom => ({nom})),
+      'system.don':creation.don,
+    };
+
+    // Finishing the wizard again replaces the talents chosen the first time.
+    for(let [key, talent] of Object.entries(actor.system.talents)) {
+      if(talent.value && !(key in creation.talents)) update[`system.talents.${key}.value`] = false;
+    }
+
+    for(let [key, qualite] of Object.entries(creation.talents)) update[`system.talents.${key}`] = {value:true, qualite};
+
+    await actor.update(update);
+
+    // The miagies the chaton already has aren't created twice.
+    const owned = actor.items.filter(i => i.type === 'miagie').map(i => i.name);
+    const miagies = (await Promise.all(creation.miagies.map(uuid => fromUuid(uuid)))).filter(m => m && !owned.includes(m.name));
+
+    if(miagies.length) await actor.createEmbeddedDocuments('Item', miagies.map(m => m.toObject()));
+
+    await actor.update({
+      'system.coeur.value':actor.system.coeur.max,
+      'system.amitie.value':actor.system.amitie.max,
+    });
+
+    this.close();
+  }
+}
\ No newline at end of file
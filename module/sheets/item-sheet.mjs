@@ -17,10 +17,11 @@ export class DCItemSheet extends ItemSheet {
   /* -------------------------------------------- */
 
   /** @inheritdoc */
-  getData() {
+  async getData() {
     const context = super.getData();
 
     context.systemData = context.data.system;
+    context.description = await TextEditor.enrichHTML(context.systemData.description, {relativeTo:this.item});
 
     return context;
   }
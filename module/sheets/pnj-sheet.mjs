@@ -0,0 +1,76 @@
+import DCRoll from "../documents/roll.js";
+
+/**
+ * @extends {ActorSheet}
+ */
+export class DCPNJSheet extends ActorSheet {
+
+  /** @inheritdoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["pnj", "sheet", "actor"],
+      template: "systems/donjons-et-chatons/templates/pnj-sheet.html",
+      width: 550,
+      height: 600,
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  getData() {
+    const context = super.getData();
+
+    context.systemData = context.data.system;
+    context.qualites = Object.entries(CONFIG.DC.qualites).map(([key, label]) => ({
+      key:key,
+      label:label,
+      value:context.systemData.qualites[key],
+    }));
+    context.capacites = context.items.filter(i => i.type === 'capacite');
+    context.rapide = DCRoll.getRapideHint();
+
+    return context;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    // Everything below here is only needed if the sheet is editable
+    if ( !this.isEditable ) return;
+
+    html.find('label.roll').click(ev => {
+      this.actor.rollQualite($(ev.currentTarget).data("id"), DCRoll.getRapide());
+    });
+
+    html.find('.item-create').click(ev => {
+      Item.create({
+        name:game.i18n.localize("TYPES.Item.capacite"),
+        type:"capacite",
+        img:"icons/svg/aura.svg",
+      }, {parent: this.actor});
+    });
+
+    html.find('.item-edit').click(ev => {
+      const header = $(ev.currentTarget).parents(".summary");
+
+      this.actor.items.get(header.data("item-id"))?.sheet.render(true);
+    });
+
+    html.find('.item-delete').click(ev => {
+      const header = $(ev.currentTarget).parents(".summary");
+
+      this.actor.items.get(header.data("item-id"))?.delete();
+      header.slideUp(200, () => this.render(false));
+    });
+
+    html.find('.item-dialog').click(ev => {
+      const header = $(ev.currentTarget).parents(".summary");
+
+      this.actor.sendItem(header.data("item-id"));
+    });
+  }
+}
\ No newline at end of file
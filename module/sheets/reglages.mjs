@@ -0,0 +1,66 @@
+/**
+ * House rules and automation of the world, set by the Conteuse.
+ * Each setting is registered in registerSettings and shown here with a field matching its type.
+ * @extends {FormApplication}
+ */
+export class DCReglages extends FormApplication {
+
+  /**
+   * Settings shown in the menu, in order.
+   * @type {string[]}
+   */
+  static SETTINGS = [
+    'relanceAuto',
+    'relances',
+    'typeQualite',
+    'typeTalent',
+    'typeMiagie',
+    'coeurMiagie',
+    'accidentAuto',
+    'seuils',
+    'coutQualite',
+    'coutTalent',
+    'coutMiagie',
+  ];
+
+  /** @inheritdoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "dc-reglages",
+      classes: ["dc", "sheet", "reglages"],
+      template: "systems/donjons-et-chatons/templates/reglages.html",
+      title: game.i18n.localize("DC.SETTINGS.REGLAGES.Label"),
+      width: 550,
+      height: "auto",
+      closeOnSubmit: true,
+    });
+  }
+
+  /** @inheritdoc */
+  getData() {
+    const context = super.getData();
+
+    context.settings = this.constructor.SETTINGS.map(key => {
+      const setting = game.settings.settings.get(`donjons-et-chatons.${key}`);
+
+      return {
+        key:key,
+        name:setting.name,
+        hint:setting.hint,
+        value:game.settings.get("donjons-et-chatons", key),
+        choices:setting.choices,
+        isBoolean:setting.type === Boolean,
+        isNumber:setting.type === Number,
+      };
+    });
+
+    return context;
+  }
+
+  /** @inheritdoc */
+  async _updateObject(event, formData) {
+    for(let [key, value] of Object.entries(formData)) {
+      if(game.settings.get("donjons-et-chatons", key) !== value) await game.settings.set("donjons-et-chatons", key, value);
+    }
+  }
+}
\ No newline at end of file
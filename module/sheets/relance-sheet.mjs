@@ -1,15 +1,9 @@
 export class DCRelance extends FormApplication  {
-    constructor(name, actor, value, type, msg, roll) {
-        super();
-
-        this.object.name = name;
-        this.object.actor = actor;
-        this.object.value = value;
-        this.object.type = type;
-        this.object.msg = msg;
-        this.object.dices = undefined;
-        this.object.results = undefined;
-        this.object.roll = roll;
+    constructor(message, options={}) {
+        super({}, options);
+
+        this.object.msg = message.id;
+        this.object.selected = undefined;
     }
 
     static get defaultOptions() {
@@ -19,15 +13,44 @@ export class DCRelance extends FormApplication  {
           title:game.i18n.localize(`DC.ROLL.ASK.Relance`),
           width: 400,
           height: 250,
-          dragDrop: [{dragSelector: ".draggable", dropSelector: null}],
         });
     }
 
-    static CHAT_TEMPLATE = "systems/donjons-et-chatons/templates/msg/roll.html";
+    /**
+     * Whether the current user can reroll a dice of the roll sent in this message.
+     * Only the owner of the message or the GM can, as long as the roll has rerolls left.
+     * Each help of another chaton with a reroll adds one to the rerolls allowed.
+     * @param {ChatMessage} message
+     * @returns {boolean}
+     */
+    static canRelance(message) {
+        const flags = message.getFlag("donjons-et-chatons", "roll");
+
+        if(!flags || !message.isOwner) return false;
+
+        const bonus = (flags.aides ?? []).filter(a => a.mode === 'relance').length;
+
+        return (flags.relances ?? 0) < game.settings.get("donjons-et-chatons", "relances") + bonus;
+    }
+
+    get message() {
+        return game.messages.get(this.object.msg);
+    }
 
     /** @inheritdoc */
     getData() {
         const context = super.getData();
+        const flags = this.message?.getFlag("donjons-et-chatons", "roll");
+
+        context.dices = (flags?.dices ?? []).map((d, i) => {
+            return {
+                num:i,
+                result:d.result,
+                active:d.active,
+                success:d.result <= flags.difficulte,
+                selected:i === this.object.selected,
+            };
+        }).filter(d => d.active);
 
         return context;
     }
@@ -37,115 +60,81 @@ export class DCRelance extends FormApplication  {
         super.activateListeners(html);
 
         html.find('li.roll').click(async ev => {
-            const num = $(ev.currentTarget).data("num");
-            const dices = this.object.dices;
-            const dice = [];
+            this.object.selected = $(ev.currentTarget).data("num");
+            this.render(true);
+        });
 
-            for(let i = 0;i < dices.length;i++) {
-                dice.push(dices[i].replace('roll selected', 'roll'));
+        html.find('button.relance').click(async ev => {
+            ev.preventDefault();
 
-                if(num === i) {
-                    dice[i] = dices[i].replace("roll", "roll selected");
-                    this.object.selected = i;
-                }
-            }
+            if(this.object.selected === undefined) return;
 
-            await this.setDices(dice);
-            this.render(true);
+            await this.relance(this.object.selected);
+            this.close();
         });
 
-        html.find('button.relance').click(async ev => {
-            const name = this.object.name;
-            const selected = this.object.selected;
-            const formula = this.object.roll.formula;
-            const getMsg = game.messages.get(this.object.msg);
-            let result = this.object.result;
-
-            if(selected === undefined || !getMsg) return;
-            const roll = this.object.roll;
-            const difficulte = this.object.value;
-            let getData = getMsg.getFlag("donjons-et-chatons", "roll");
-            let r = new Roll(`1D6`);
-            await r.evaluate();
-            const tooltip = await r.getTooltip();
-            let oldTooltip = await roll.getTooltip();
-            let flags = getData;
-
-            if(r.total <= difficulte) {
-              flags.results += 1;
-            }
-
-            const dices = flags.dices;
-            dices[selected].active = false;
-            dices.push({
-              result:r.total,
-              active:true,
-            })
-
-            if(dices[selected].result <= difficulte) {
-              flags.results -= 1;
-            }
-            let l = 0;
-            let n = 0;
-            let split = oldTooltip.split('\n');
-            let old = '';
-
-            for(let t of split) {
-              if(t.includes('<li class=\"roll') && n === selected) {
-                old = split[l];
-                split[l] = split[l].replace('d6', 'd6 discarded');
-                break;
-              } else if(t.includes('<li class=\"roll')) n += 1;
-
-              l += 1;
-            }
-
-            let main = {};
-            main.label = this.object.name;
-            main.tooltip = `${split.join('\n')}${tooltip}`;
-            main.total = flags.results;
-            main.DCOld = old;
-            game.messages.get(this.object.msg).delete();
-
-            const chatRollMode = game.settings.get("core", "rollMode");
-
-            let chatData = {
-                user:game.user.id,
-                speaker: {
-                  actor: this.object.actor?.id || null,
-                  token: this.object.actor?.token?.id || null,
-                  alias: this.object.actor?.name || null,
-                },
-                content:await renderTemplate(this.constructor.CHAT_TEMPLATE, main),
-                flags:{
-                  "donjons-et-chatons":{
-                    roll:flags
-                  }
-                },
-                sound: CONFIG.sounds.dice,
-                rolls:r,
-                rollMode:chatRollMode,
-            };
-            ChatMessage.applyRollMode(chatData, chatRollMode);
-            const msg = await ChatMessage.create(chatData);
+        html.find('button.fermer').click(ev => {
+            ev.preventDefault();
+            this.close();
         });
     }
 
-    async _updateObject(event, formData) {
+    /**
+     * Reroll one of the dices of the roll and update the message in place.
+     * The message keeps its whisper and blind settings, and the new Roll is added to its rolls.
+     * @param {number} selected   Index of the dice in the message flags.
+     */
+    async relance(selected) {
+        const message = this.message;
 
+        if(!message || !this.constructor.canRelance(message)) return;
+
+        const flags = foundry.utils.deepClone(message.getFlag("donjons-et-chatons", "roll"));
+        const old = flags.dices[selected];
+
+        if(!old?.active) return;
+
+        const r = new Roll(`1D6`);
+        await r.evaluate();
+
+        const oldSuccess = old.result <= flags.difficulte;
+        const newSuccess = r.total <= flags.difficulte;
+
+        old.active = false;
+        old.success = false;
+        flags.dices.push({
+          result:r.total,
+          active:true,
+          success:newSuccess,
+        });
+        flags.results += Number(newSuccess) - Number(oldSuccess);
+        flags.relances = (flags.relances ?? 0) + 1;
+        flags.historique = (flags.historique ?? []).concat({
+          user:game.user.name,
+          old:old.result,
+          new:r.total,
+        });
+
+        if(game.dice3d) {
+          const whisper = message.whisper.length ? message.whisper : null;
+
+          await game.dice3d.showForRoll(r, game.user, true, whisper, message.blind);
+        }
+
+        await game.dc.DCRoll.updateAccident(flags);
+
+        await message.update({
+            content:await game.dc.DCRoll.renderCard(flags),
+            rolls:message.rolls.concat(r).map(roll => JSON.stringify(roll)),
+            flags:{
+              "donjons-et-chatons":{
+                roll:flags
+              }
+            },
+        });
     }
 
-    async setDices(dices) {
-      this.object.dices = dices;
-      this.object.results = dices.join(' ');
-
-      return new Promise(resolve => {
-        setTimeout(() => {
-          resolve(
-            this.object.dices,
-            this.object.results
-          );
-        }, 0);
-      });
+    async _updateObject(event, formData) {
+
     }
-}
\ No newline at end of file
+}
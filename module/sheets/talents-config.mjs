@@ -0,0 +1,126 @@
+/**
+ * Talents of the world, set by the Conteuse: rename or hide the talents of the rules, add talents for the table.
+ * Saved in the "talents" setting, read by prepareTalents when the world loads.
+ * @extends {FormApplication}
+ */
+export class DCTalentsConfig extends FormApplication {
+
+  constructor(object={}, options={}) {
+    super(object, options);
+
+    this.talents = foundry.utils.deepClone(game.settings.get("donjons-et-chatons", "talents"));
+  }
+
+  /** @inheritdoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "dc-talents-config",
+      classes: ["dc", "sheet", "talentsconfig"],
+      template: "systems/donjons-et-chatons/templates/talents-config.html",
+      title: game.i18n.localize("DC.SETTINGS.TALENTS.Label"),
+      width: 500,
+      height: 600,
+      resizable: true,
+      submitOnChange: false,
+      closeOnSubmit: true,
+    });
+  }
+
+  /** @inheritdoc */
+  getData() {
+    const context = super.getData();
+    const talents = this.talents;
+    const rules = CONFIG.DC.talents.filter(key => !talents.ajouts.includes(key));
+
+    context.talents = [...rules, ...talents.ajouts].map(key => ({
+      key:key,
+      defaut:talents.ajouts.includes(key) ? '' : game.i18n.localize(`DC.TALENTS.${key}`),
+      label:talents.libelles[key] ?? '',
+      masque:talents.masques.includes(key),
+      ajout:talents.ajouts.includes(key),
+    }));
+
+    return context;
+  }
+
+  /** @inheritdoc */
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find('button.ajouter').click(ev => {
+      ev.preventDefault();
+      const name = html.find('input.ajout').val().trim();
+
+      if(!name) return;
+
+      this._saveForm();
+      const key = this._getKey(name);
+
+      this.talents.ajouts.push(key);
+      this.talents.libelles[key] = name;
+      this.render();
+    });
+
+    html.find('a.supprimer').click(ev => {
+      const key = $(ev.currentTarget).closest('li').data('talent');
+
+      this._saveForm();
+      this.talents.ajouts = this.talents.ajouts.filter(t => t !== key);
+      this.talents.masques = this.talents.masques.filter(t => t !== key);
+      delete this.talents.libelles[key];
+      this.render();
+    });
+  }
+
+  /**
+   * Keep what was typed in the form when it is rendered again.
+   */
+  _saveForm() {
+    this._applyData(this._getSubmitData());
+  }
+
+  /**
+   * Key of a new talent, from its name.
+   * @param {string} name
+   * @returns {string}
+   */
+  _getKey(name) {
+    const base = name.slugify({strict:true}).replace(/-(.)/g, (m, c) => c.toUpperCase()) || 'talent';
+    const used = [...CONFIG.DC.talents, ...this.talents.ajouts];
+    let key = base;
+
+    for(let i = 2;used.includes(key);i++) key = `${base}${i}`;
+
+    return key;
+  }
+
+  /**
+   * Read the labels and the hidden talents of the form.
+   * @param {object} formData
+   */
+  _applyData(formData) {
+    const data = foundry.utils.expandObject(formData);
+    const libelles = {};
+    const masques = [];
+
+    for(let [key, talent] of Object.entries(data.talents ?? {})) {
+      const label = talent.label?.trim();
+
+      // An added talent keeps its name if the field is emptied.
+      if(label) libelles[key] = label;
+      else if(this.talents.ajouts.includes(key)) libelles[key] = this.talents.libelles[key];
+
+      if(talent.masque) masques.push(key);
+    }
+
+    this.talents.libelles = libelles;
+    this.talents.masques = masques;
+  }
+
+  /** @inheritdoc */
+  async _updateObject(event, formData) {
+    this._applyData(formData);
+
+    await game.settings.set("donjons-et-chatons", "talents", this.talents);
+  }
+}
\ No newline at end of file